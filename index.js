@@ -4,12 +4,68 @@
 const fs = require("fs");
 const path = require("path");
 const { promisify } = require("util");
+const { pathToFileURL, fileURLToPath } = require("url");
 const readline = require("readline");
+const crypto = require("crypto");
+const os = require("os");
+const { execFileSync } = require("child_process");
 
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
 const readFile = promisify(fs.readFile);
 
+const NODE_BUILTINS = new Set(require("module").builtinModules);
+
+// 项目级配置文件名（按优先级），其次读取 package.json 中的 "vuePrune" 字段
+const CONFIG_FILE_NAMES = [
+  "vue-prune.config.js",
+  "vue-prune.config.cjs",
+  "vue-prune.config.mjs",
+  "vue-prune.config.json",
+];
+
+// 报告分类：key 与删除流程的 sections 保持一致
+const REPORT_CATEGORIES = {
+  vue: { title: "未使用的 .vue 文件", reason: "从入口不可达，且未在声明文件中注册为全局组件" },
+  assets: { title: "未使用的静态资源", reason: "未被任何可达文件引用" },
+  code: { title: "未使用的代码文件", reason: "从入口不可达" },
+  styles: { title: "未使用的样式文件", reason: "从入口不可达，且未被可达的组件或样式 @import/@use/@forward" },
+  dirs: { title: "空目录", reason: "目录中没有任何文件" },
+  exports: { title: "未使用的导出", reason: "所在文件可达，但没有任何可达文件导入该绑定" },
+  components: { title: "未使用的局部组件", reason: "已导入或在 components 中注册，但模板中从未渲染" },
+  props: { title: "未使用的 props", reason: "已声明，但模板与脚本中从未读取" },
+  emits: { title: "未使用的事件", reason: "已声明，但从未 emit" },
+  dependencies: { title: "未使用的依赖", reason: "package.json 中声明，但可达代码、配置文件与样式中均未导入" },
+  undeclared: { title: "未声明的依赖", reason: "代码中导入，但 package.json 中未声明" },
+  types: { title: "仅被类型引用的文件", reason: "只通过 import type、/// <reference> 或声明文件被引用，运行时不可达" },
+  unexecuted: { title: "可达但从未执行的文件", reason: "静态可达，但运行时覆盖率中从未执行" },
+  duplicates: { title: "重复的静态资源", reason: "与另一份资源内容完全相同" },
+  i18n: { title: "未使用的翻译键", reason: "翻译文件中定义，但可达代码中没有使用" },
+  "i18n-missing": { title: "缺失的翻译键", reason: "其它 locale 中存在，但该 locale 缺失" },
+  "i18n-undefined": { title: "未定义的翻译键", reason: "代码中使用，但所有 locale 中都未定义" },
+  "stale-tests": { title: "失效的测试", reason: "测试或 Stories 导入的项目文件已不存在" },
+};
+
+const REPORT_FORMATS = ["json", "sarif", "markdown", "csv"];
+
+// 依赖边类型，按强弱排序：运行时导入、仅类型导入（import type、/// <reference>）、声明文件中的引用
+const EDGE_KINDS = ["runtime", "type", "declaration"];
+const EDGE_KIND_LABELS = { runtime: "运行时", type: "仅类型", declaration: "声明文件" };
+
+// 未使用文件按测试 / Stories 两组根的可达性分类
+const USAGE_LABELS = {
+  dead: "完全未使用",
+  tests: "仅被测试使用",
+  stories: "仅被 Stories 使用",
+  "tests-and-stories": "仅被测试与 Stories 使用",
+};
+
+// 默认忽略、但收集测试文件时仍需遍历的目录
+const TEST_DIR_NAMES = new Set(["test", "tests", "__tests__"]);
+
+// 工作区模式下不属于任何包的发现项归属
+const ROOT_PACKAGE = "(root)";
+
 class UnusedVueFinder {
   constructor(rootDir, options = {}) {
     this.rootDir = rootDir;
@@ -32,8 +88,11 @@ class UnusedVueFinder {
         "tests",
         "__tests__",
         "env",
+        ".vue-prune-trash",
       ],
       verbose: options.verbose || false,
+      // 进度输出（需提供 log 方法），默认 console；CLI 把报告写到 stdout 时改为 stderr
+      logger: options.logger || console,
       // 样式与静态资源扩展名（用于在内容中识别 url(...) 等资源引用）
       styleExtensions: options.styleExtensions || [".css", ".scss", ".sass", ".less", ".styl"],
       assetExtensions: options.assetExtensions || [
@@ -94,62 +153,343 @@ class UnusedVueFinder {
         // 包含 'mock' 的文件名（不区分大小写）
         /(^|\/).*mock.*\.(js|ts|jsx|tsx|mjs|cjs)$/i,
       ],
+      // 项目配置文件路径（不传则自动查找 vue-prune.config.* 与 package.json#vuePrune）
+      configFile: options.configFile || null,
+      // 显式入口（相对项目根，支持 glob）
+      entries: options.entries || [],
+      // 扫描范围：include 非空时仅扫描匹配文件；exclude 匹配的文件/目录完全跳过
+      include: options.include || [],
+      exclude: options.exclude || [],
+      // 永不报告的文件/目录（glob、目录前缀或正则）
+      safelist: options.safelist || [],
+      // 分析可达代码文件中无人消费的导出
+      unusedExports: options.unusedExports !== false,
+      // 对比 package.json 报告未使用/未声明的依赖
+      dependencies: options.dependencies !== false,
+      // 不参与依赖分析的包名（支持 glob）
+      ignoreDependencies: options.ignoreDependencies || [],
+      // 按模板标签匹配全局/自动导入组件
+      templateComponents: options.templateComponents !== false,
+      // 自动导入组件目录（unplugin-vue-components 约定），及是否以子目录名作为命名空间前缀
+      componentDirs: options.componentDirs || ["src/components"],
+      directoryAsNamespace: options.directoryAsNamespace || false,
+      // 工作区模式：默认按 pnpm-workspace.yaml / package.json#workspaces 自动探测，false 关闭
+      workspace: options.workspace,
+      // Nuxt 模式：默认按 nuxt.config.* 自动探测，true/false 强制开启/关闭
+      nuxt: options.nuxt,
+      // 显式声明的全局组件：{ BaseButton: 'src/components/base/BaseButton.vue' }
+      globalComponents: options.globalComponents || {},
+      // 运行时覆盖率（V8 / Istanbul JSON 文件或目录），用于报告可达但从未执行的文件
+      coverage: options.coverage || null,
+      // 按内容哈希检测重复的静态资源
+      duplicateAssets: options.duplicateAssets !== false,
+      // 文件类发现项的排序（path|size）、最小报告大小（字节）与“最大的未使用文件”条数
+      sort: options.sort || "path",
+      minSize: options.minSize || 0,
+      top: options.top === undefined ? 10 : options.top,
+      // 仅按运行时边计算可达性：仅类型/声明文件的引用不再使文件可达
+      runtimeOnly: options.runtimeOnly || false,
+      // SFC 级分析：未渲染的局部组件、未读取的 props、未触发的 emits
+      sfc: options.sfc !== false,
+      // 翻译键分析：在 localeDirs（相对项目根或各工作区包）下查找翻译文件，找不到时自动跳过
+      i18n: options.i18n !== false,
+      localeDirs: options.localeDirs || ["src/locales", "src/locale", "src/i18n", "src/lang", "locales"],
+      // 测试与 Stories 作为第二组根：区分“完全未使用”与“仅被测试/Stories 使用”，并报告被测文件已不存在的测试
+      // 模式相对项目根或所在工作区包匹配；.vue 文件只按 storyPatterns 识别
+      tests: options.tests !== false,
+      testPatterns: options.testPatterns || [
+        "**/*.{spec,test}.{js,ts,jsx,tsx,mjs,cjs}",
+        "**/*.cy.{js,ts,jsx,tsx}",
+        "test/**",
+        "tests/**",
+        "**/__tests__/**",
+      ],
+      storyPatterns: options.storyPatterns || ["**/*.stories.{js,ts,jsx,tsx,mjs}", "**/*.story.{js,ts,jsx,tsx,vue}"],
       ...options,
     };
+    // 记录调用方显式传入的选项，配置文件不覆盖这些项
+    this.explicitOptionKeys = new Set(Object.keys(options));
 
     this.allVueFiles = new Set();
     this.referencedFiles = new Set();
-    this.importPatterns = [];
     this.graph = new Map();
+    // 依赖边的类型：from -> Map(to -> 'type'|'declaration')，未记录的边为运行时边（见 addEdge）
+    this.edgeKinds = new Map();
     this.pathCache = new Map();
 
     // 静态资源集合（全量与已引用）
     this.allAssetFiles = new Set();
     this.referencedAssets = new Set();
+    // 动态路径（模板字符串/字符串拼接）命中的文件：相对路径 -> [{ from, pattern }]
+    this.dynamicReferences = new Map();
+    this.dynamicGlobCache = new Map();
+
+    // 遍历目录时记录的文件大小（相对路径 -> 字节数）与项目文件全量列表（见 getProjectFiles）
+    this.fileSizes = new Map();
+    this.projectFiles = null;
+
+    // 已引用资源 -> 引用它的可达文件集合（用于重复资源的保留建议）
+    this.assetReferrers = new Map();
+
+    // 样式文件集合（.css/.scss/.sass/.less/.styl）
+    this.allStyleFiles = new Set();
 
     // 代码文件集合（不含 .vue）
     this.allCodeFiles = new Set();
     // 任何地方被 import/require 到的代码文件（即使入口不可达，仍视为被引用）
     this.referencedCodeFiles = new Set();
 
+    // 组件名（PascalCase）-> .vue 文件集合；各 .vue 模板中出现的自定义标签
+    this.componentRegistry = new Map();
+    this.templateTags = new Map();
+
+    // 工作区包（按目录深度降序）与包名索引
+    this.workspacePackages = [];
+    this.workspaceByName = new Map();
+
+    // Nuxt 应用（项目根或工作区包，见 detectNuxtApps）与自动导入标识符 -> 定义文件
+    this.nuxtApps = [];
+    this.autoImportRegistry = new Map();
+    // 只对某个工作区包内的导入生效的别名（包目录 -> { 别名: 项目根相对路径 }），如包内 Nuxt 应用的 ~ 与 @
+    this.packageAliases = new Map();
+
+    // 各文件导入的外部 npm 包名（相对路径 -> Set(包名)）
+    this.externalImports = new Map();
+
     // 从声明文件(.d.ts)识别到的全局组件（视为已用）
     this.usedVueFromDts = new Set();
 
     // 空目录集合（相对路径）
     this.emptyDirs = [];
+
+    // 测试与 Stories 文件（相对路径），及各文件中无法解析的项目内导入：相对路径 -> [{ spec, line }]
+    this.testFiles = new Set();
+    this.storyFiles = new Set();
+    this.unresolvedImports = new Map();
+
+    // .vue 文件的 SFC 级分析结果（相对路径 -> analyzeSfc 的返回值）
+    this.sfcReports = new Map();
+
+    // 入口文件 -> 来源说明（detectEntryFiles 填充）
+    this.entrySources = new Map();
+
+    // 已加载的项目配置文件（相对路径，未加载为 null）与其中声明的别名
+    this.configSource = null;
+    this.configAliases = {};
+    this.globRegexCache = new Map();
   }
 
-  // 导入匹配：尽量覆盖 import/export/require/动态 import/defineAsyncComponent 等
-  initImportPatterns() {
-    // 通用抓取所有导入字符串，再进行路径解析
-    this.importPatterns = [
-      /import[\s\S]*?from\s+['"]([^'"\n]+)['"]/g,
-      /import\s+['"]([^'"\n]+)['"]/g,
-      /export[\s\S]*?from\s+['"]([^'"\n]+)['"]/g,
-      /require\(\s*['"]([^'"\n]+)['"]\s*\)/g,
-      // 动态 import，支持块/行内注释
-      /import\(\s*(?:(?:\/\*[\s\S]*?\*\/\s*)|(?:\/\/[^\n]*\n\s*))*['"]([^'"\n]+)['"]\s*\)/g,
-      // defineAsyncComponent(() => import(/* ... */ 'path'))
-      /defineAsyncComponent\s*\(\s*\(\)\s*=>\s*import\(\s*(?:(?:\/\*[\s\S]*?\*\/\s*)|(?:\/\/[^\n]*\n\s*))*['"]([^'"\n]+)['"]/g,
-    ];
+  // 进度与结果输出统一经 options.logger
+  log(...args) {
+    this.options.logger.log(...args);
+  }
+
+  // 加载项目级配置：vue-prune.config.{js,cjs,mjs,json} 或 package.json 中的 "vuePrune"
+  async loadProjectConfig() {
+    let config = null;
+    let source = null;
+
+    if (this.options.configFile) {
+      const abs = path.resolve(this.rootDir, this.options.configFile);
+      if (!fs.existsSync(abs)) {
+        throw new Error(`配置文件不存在: ${this.options.configFile}`);
+      }
+      config = await loadConfigModule(abs);
+      source = abs;
+    } else {
+      for (const name of CONFIG_FILE_NAMES) {
+        const abs = path.join(this.rootDir, name);
+        if (!fs.existsSync(abs)) continue;
+        config = await loadConfigModule(abs);
+        source = abs;
+        break;
+      }
+      if (!config) {
+        const pkgPath = path.join(this.rootDir, "package.json");
+        try {
+          const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+          if (pkg && pkg.vuePrune) {
+            config = pkg.vuePrune;
+            source = pkgPath;
+          }
+        } catch (_) {}
+      }
+    }
+
+    if (typeof config === "function") config = await config();
+    if (!config || typeof config !== "object") return null;
+
+    this.applyProjectConfig(config);
+    this.configSource = path.relative(this.rootDir, source);
+    this.log(`⚙️ 已加载配置: ${this.configSource}`);
+    return config;
+  }
+
+  // 将配置合并进 this.options：别名/列表追加，扩展名列表替换；构造时显式传入的选项优先
+  applyProjectConfig(config) {
+    const explicit = (key) => this.explicitOptionKeys.has(key);
+    const toList = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+    const normalizeExt = (e) => {
+      const lower = String(e).toLowerCase();
+      return lower.startsWith(".") ? lower : "." + lower;
+    };
+
+    // 配置中的别名在自动探测之后合并（见 loadAliasesFromConfigs），以覆盖 vite/tsconfig 中的同名别名
+    if (config.alias && typeof config.alias === "object") {
+      for (const key in config.alias) {
+        this.configAliases[key] = this.normalizeAliasReplacement(config.alias[key]);
+      }
+    }
+
+    for (const key of ["extensions", "styleExtensions", "assetExtensions", "codeExtensions"]) {
+      if (Array.isArray(config[key]) && !explicit(key)) {
+        this.options[key] = config[key].map(normalizeExt);
+      }
+    }
+
+    if (config.ignoreDirs) {
+      this.options.ignoreDirs = [...this.options.ignoreDirs, ...toList(config.ignoreDirs)];
+    }
+    if (config.codeIgnorePatterns) {
+      const extra = toList(config.codeIgnorePatterns).map((p) =>
+        p instanceof RegExp ? p : this.globToRegex(String(p).replace(/^\.?\//, ""))
+      );
+      this.options.codeIgnorePatterns = [...this.options.codeIgnorePatterns, ...extra];
+    }
+
+    if (Array.isArray(config.componentDirs) && !explicit("componentDirs")) {
+      this.options.componentDirs = config.componentDirs;
+      this.explicitOptionKeys.add("componentDirs");
+    }
+    if (config.globalComponents && typeof config.globalComponents === "object") {
+      this.options.globalComponents = { ...this.options.globalComponents, ...config.globalComponents };
+    }
+
+    for (const key of ["entries", "include", "exclude", "safelist", "ignoreDependencies"]) {
+      if (config[key] != null) {
+        this.options[key] = [...toList(this.options[key]), ...toList(config[key])];
+      }
+    }
+
+    if (SORT_MODES.includes(config.sort) && !explicit("sort")) {
+      this.options.sort = config.sort;
+    }
+    if (config.minSize != null && !explicit("minSize")) {
+      const minSize = parseSize(config.minSize);
+      if (minSize !== null) this.options.minSize = minSize;
+    }
+    if (Number.isInteger(config.top) && config.top >= 0 && !explicit("top")) {
+      this.options.top = config.top;
+    }
+    for (const key of ["localeDirs", "testPatterns", "storyPatterns"]) {
+      if (config[key] != null && !explicit(key)) {
+        this.options[key] = toList(config[key]);
+      }
+    }
+    if (typeof config.coverage === "string" && !explicit("coverage")) {
+      this.options.coverage = path.resolve(this.rootDir, config.coverage);
+    }
+
+    for (const key of ["verbose", "unusedExports", "dependencies", "templateComponents", "directoryAsNamespace", "nuxt", "workspace", "duplicateAssets", "i18n", "sfc", "runtimeOnly", "tests"]) {
+      if (config[key] != null && !explicit(key)) {
+        this.options[key] = !!config[key];
+      }
+    }
   }
 
-  // 递归获取所有文件（受 ignoreDirs 影响）
-  async getAllFiles(dir, fileList = []) {
+  // 相对路径是否命中任一模式：正则、glob，或不含通配符时按文件/目录前缀匹配
+  matchesAnyPattern(rel, patterns) {
+    if (!patterns || patterns.length === 0) return false;
+    const normalized = rel.replace(/\\/g, "/");
+    for (const p of patterns) {
+      if (p instanceof RegExp) {
+        if (p.test(normalized)) return true;
+        continue;
+      }
+      const pattern = String(p).replace(/^\.?\//, "").replace(/\/+$/, "");
+      if (!pattern) continue;
+      if (!/[*?[{]/.test(pattern)) {
+        if (normalized === pattern || normalized.startsWith(pattern + "/")) return true;
+        continue;
+      }
+      let re = this.globRegexCache.get(pattern);
+      if (!re) {
+        re = this.globToRegex(pattern);
+        this.globRegexCache.set(pattern, re);
+      }
+      if (re.test(normalized)) return true;
+    }
+    return false;
+  }
+
+  // 按 include/exclude 判断绝对路径是否在扫描范围外（目录只看 exclude）
+  isOutOfScope(absPath, isDir = false) {
+    const rel = path.relative(this.rootDir, absPath);
+    if (!rel || rel.startsWith("..")) return false;
+    if (this.matchesAnyPattern(rel, this.options.exclude)) return true;
+    if (isDir) return this.matchesAnyPattern(rel + "/", this.options.exclude);
+    return this.options.include.length > 0 && !this.matchesAnyPattern(rel, this.options.include);
+  }
+
+  // 是否在“永不报告”名单中
+  isSafelisted(rel) {
+    return this.matchesAnyPattern(rel, this.options.safelist);
+  }
+
+  // 按词法提取模块请求：JS/TS 为整个文件，.vue/.html 为 <script> 块与模板表达式；注释与字符串中的内容不会被误认
+  extractImportRequests(content, filePath) {
+    const requests = [];
+    for (const segment of scriptSegmentsOf(content, filePath)) {
+      for (const request of extractModuleRequests(segment.code)) {
+        requests.push({ ...request, start: segment.start + request.start });
+      }
+    }
+    return requests;
+  }
+
+  // 获取目录下所有文件（受 ignoreDirs 影响）：项目内的目录从一次性遍历的结果中筛选，各类收集不再重复读盘
+  async getAllFiles(dir, fileList = [], ignoreDirs = this.options.ignoreDirs) {
+    const base = path.resolve(dir);
+    if (!isSubPath(this.rootDir, base)) return this.walkFiles(dir, fileList, ignoreDirs);
+    for (const file of await this.getProjectFiles()) {
+      const parent = path.dirname(file);
+      const parentResolved = path.resolve(parent);
+      if (parentResolved === base) {
+        fileList.push(file);
+      } else if (parentResolved.startsWith(base + path.sep) && !ignoreDirs.some((ignoreDir) => parent.includes(ignoreDir))) {
+        // 子目录路径包含父目录路径，因此只需检查文件所在目录，即与逐层遍历时的跳过规则一致
+        fileList.push(file);
+      }
+    }
+    return fileList;
+  }
+
+  // 项目根下的全量文件列表（仅遍历一次）；测试目录也遍历，供 scanTestAndStoryFiles 使用
+  getProjectFiles() {
+    if (!this.projectFiles) {
+      const ignoreDirs = this.options.ignoreDirs.filter((dir) => !TEST_DIR_NAMES.has(dir));
+      this.projectFiles = this.walkFiles(this.rootDir, [], ignoreDirs);
+    }
+    return this.projectFiles;
+  }
+
+  // 递归遍历目录收集文件，并记录文件大小
+  async walkFiles(dir, fileList = [], ignoreDirs = this.options.ignoreDirs) {
     try {
       const files = await readdir(dir);
       for (const file of files) {
         const filePath = path.join(dir, file);
         const fileStat = await stat(filePath);
         if (fileStat.isDirectory()) {
-          const shouldIgnore = this.options.ignoreDirs.some((ignoreDir) =>
+          const shouldIgnore = ignoreDirs.some((ignoreDir) =>
             filePath.includes(ignoreDir)
           );
-          if (!shouldIgnore) {
-            await this.getAllFiles(filePath, fileList);
+          if (!shouldIgnore && !this.isOutOfScope(filePath, true)) {
+            await this.walkFiles(filePath, fileList, ignoreDirs);
           }
-        } else {
+        } else if (!this.isOutOfScope(filePath)) {
           fileList.push(filePath);
+          this.fileSizes.set(path.relative(this.rootDir, filePath), fileStat.size);
         }
       }
       return fileList;
@@ -169,7 +509,7 @@ class UnusedVueFinder {
           const shouldIgnore = this.options.ignoreDirs.some((ignoreDir) =>
             full.includes(ignoreDir)
           );
-          if (shouldIgnore) continue;
+          if (shouldIgnore || this.isOutOfScope(full, true)) continue;
           dirList.push(full);
           await this.getAllDirs(full, dirList);
         }
@@ -204,7 +544,7 @@ class UnusedVueFinder {
 
   // 收集全量 .vue 文件（作为候选集）
   async collectVueFiles() {
-    console.log("🔍 扫描.vue文件...");
+    this.log("🔍 扫描.vue文件...");
     const allFiles = await this.getAllFiles(this.rootDir);
     for (const file of allFiles) {
       if (file.endsWith(".vue")) {
@@ -216,17 +556,17 @@ class UnusedVueFinder {
         }
         this.allVueFiles.add(relativePath);
         if (this.options.verbose) {
-          console.log(`📁 找到Vue文件: ${relativePath}`);
+          this.log(`📁 找到Vue文件: ${relativePath}`);
         }
       }
     }
-    console.log(`📊 总共找到 ${this.allVueFiles.size} 个.vue文件`);
+    this.log(`📊 总共找到 ${this.allVueFiles.size} 个.vue文件`);
   }
 
   // 收集全量静态资源文件（供“未使用资源”对比）
   async collectAssetFiles() {
     if (this.options.verbose) {
-      console.log("🔍 扫描静态资源文件...");
+      this.log("🔍 扫描静态资源文件...");
     }
     const allFiles = await this.getAllFiles(this.rootDir);
     const exts = new Set(this.options.assetExtensions);
@@ -243,14 +583,30 @@ class UnusedVueFinder {
       }
     }
     if (this.options.verbose) {
-      console.log(`📊 总共找到 ${this.allAssetFiles.size} 个静态资源文件`);
+      this.log(`📊 总共找到 ${this.allAssetFiles.size} 个静态资源文件`);
+    }
+  }
+
+  // 收集全量样式文件（供“未使用样式”对比）
+  async collectStyleFiles() {
+    const allFiles = await this.getAllFiles(this.rootDir);
+    const exts = new Set(this.options.styleExtensions);
+    for (const file of allFiles) {
+      const ext = path.extname(file).toLowerCase();
+      if (!ext || !exts.has(ext)) continue;
+      const rel = path.relative(this.rootDir, file);
+      if (/(^|\/)(mock|mocks|__mocks__)(\/|$)/i.test(rel) || rel.toLowerCase().includes('mock')) continue;
+      this.allStyleFiles.add(rel);
+    }
+    if (this.options.verbose) {
+      this.log(`📊 总共找到 ${this.allStyleFiles.size} 个样式文件`);
     }
   }
 
   // 收集全量代码文件（仅用于“未使用代码”统计）
   async collectCodeFiles() {
     if (this.options.verbose) {
-      console.log("🔍 扫描代码文件...");
+      this.log("🔍 扫描代码文件...");
     }
     const allFiles = await this.getAllFiles(this.rootDir);
     const exts = new Set(this.options.codeExtensions);
@@ -268,73 +624,141 @@ class UnusedVueFinder {
       this.allCodeFiles.add(rel);
     }
     if (this.options.verbose) {
-      console.log(`📊 总共找到 ${this.allCodeFiles.size} 个代码文件`);
+      this.log(`📊 总共找到 ${this.allCodeFiles.size} 个代码文件`);
     }
   }
 
   // 解析文件中的导入，并将依赖加入图（.d.ts 中的 .vue 计入 usedVueFromDts）
   async parseFileImports(filePath) {
     try {
-      const content = await readFile(filePath, "utf8");
+      const ext = path.extname(filePath).toLowerCase();
+      const isStyle = this.options.styleExtensions.includes(ext);
+      // 注释替换为等长空白后再提取，注释掉的导入与引用不再计入
+      const raw = await readFile(filePath, "utf8");
+      const content = stripComments(raw, filePath, isStyle);
       const importerRel = path.relative(this.rootDir, filePath);
       if (!this.graph.has(importerRel)) this.graph.set(importerRel, new Set());
       const isDts = filePath.endsWith('.d.ts');
+      // 声明文件中的引用只影响类型检查
+      const edgeKind = isDts ? 'declaration' : 'runtime';
+      if (this.options.templateComponents) {
+        if (filePath.endsWith('.vue')) this.templateTags.set(importerRel, this.extractTemplateTags(content));
+        if (content.includes('.component(')) this.extractGlobalRegistrations(content, filePath);
+      }
+      // 只服务于未使用组件注册的导入不计入引用边
+      let deadImports = null;
+      if (this.options.sfc && filePath.endsWith('.vue')) {
+        const sfc = this.analyzeSfc(content, filePath);
+        this.sfcReports.set(importerRel, sfc);
+        deadImports = sfc.deadImports;
+      }
 
-      for (const pattern of this.importPatterns) {
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-          const specifier = match[1];
-          const resolved = this.resolveImportSpecifierToPath(specifier, filePath);
-          if (!resolved) continue;
-          const targetRel = path.relative(this.rootDir, resolved);
-          if (!this.graph.has(importerRel)) this.graph.set(importerRel, new Set());
-          this.graph.get(importerRel).add(targetRel);
-
-          if (targetRel.endsWith('.vue')) {
-            if (this.allVueFiles.has(targetRel)) {
-              this.referencedFiles.add(targetRel);
-              if (isDts) {
-                this.usedVueFromDts.add(targetRel);
-              }
-              if (this.options.verbose) {
-                console.log(`🔗 找到引用: ${targetRel} <- ${importerRel}`);
-              }
+      // 样式中的 @import 由 extractStyleImports 处理
+      for (const request of isStyle ? [] : this.extractImportRequests(content, filePath)) {
+        const specifier = request.spec;
+        const kind = isDts ? 'declaration' : request.typeOnly ? 'type' : 'runtime';
+        if (deadImports && deadImports.has(specifier)) {
+          if (this.options.verbose) this.log(`✂️ 忽略仅用于未使用组件注册的导入: ${specifier} <- ${importerRel}`);
+          continue;
+        }
+        const resolved = this.resolveImportSpecifierToPath(specifier, filePath);
+        // declare module 'x' 可能是模块扩充或无类型包的垫片，不计入依赖使用
+        if (!resolved) {
+          if (request.kind === 'declare-module') continue;
+          this.recordExternalImport(importerRel, specifier);
+          // 项目内路径解析失败：目标文件已被删除或移动（用于报告失效的测试）
+          if (/^[./]/.test(specifier) || this.startsWithAnyAlias(specifier)) {
+            if (!this.unresolvedImports.has(importerRel)) this.unresolvedImports.set(importerRel, []);
+            const line = content.slice(0, request.start).split('\n').length;
+            this.unresolvedImports.get(importerRel).push({ spec: specifier, line });
+          }
+          continue;
+        }
+        // 工作区兄弟包按包名导入时，同样计入依赖使用
+        if (this.workspaceByName.size > 0 && !/^[./]/.test(specifier)) {
+          this.recordExternalImport(importerRel, specifier);
+        }
+        const targetRel = path.relative(this.rootDir, resolved);
+        this.addEdge(importerRel, targetRel, kind);
+
+        if (targetRel.endsWith('.vue')) {
+          if (this.allVueFiles.has(targetRel)) {
+            this.referencedFiles.add(targetRel);
+            if (kind === 'declaration') {
+              this.usedVueFromDts.add(targetRel);
             }
-          } else {
-            // 记录被引用的代码文件
-            const isCode = this.allCodeFiles.has(targetRel);
-            if (isCode) {
-              this.referencedCodeFiles.add(targetRel);
+            if (this.options.verbose) {
+              this.log(`🔗 找到引用: ${targetRel} <- ${importerRel}`);
             }
           }
+        } else {
+          // 记录被引用的代码文件
+          const isCode = this.allCodeFiles.has(targetRel);
+          if (isCode) {
+            this.referencedCodeFiles.add(targetRel);
+          }
         }
       }
 
+      // 三斜线指令 /// <reference path="..." /> 只影响类型（在注释中，需从原文提取）
+      const referenceRe = /^\s*\/\/\/\s*<reference\s+path\s*=\s*['"]([^'"]+)['"]/gm;
+      let reference;
+      while ((reference = referenceRe.exec(raw)) !== null) {
+        const spec = /^\.{0,2}\//.test(reference[1]) ? reference[1] : './' + reference[1];
+        const resolved = this.resolveImportSpecifierToPath(spec, filePath);
+        if (resolved) this.addEdge(importerRel, path.relative(this.rootDir, resolved), isDts ? 'declaration' : 'type');
+      }
+
       // 处理 require([...])、require.context、import.meta.glob、new Worker 等
       const requireArrayItems = this.extractRequireArrayDeps(content);
       for (const spec of requireArrayItems) {
         const resolved = this.resolveImportSpecifierToPath(spec, filePath);
         if (!resolved) continue;
         const targetRel = path.relative(this.rootDir, resolved);
-        this.graph.get(importerRel).add(targetRel);
+        this.addEdge(importerRel, targetRel, edgeKind);
       }
 
+      // 循环注册（名字非字面量的 .component(name, comp)）时，glob/require.context 展开的组件按文件名注册
+      const loopRegistration = this.options.templateComponents && /\.component\(\s*[^'"\s)]/.test(content);
       const contextDeps = await this.extractRequireContextDeps(content, filePath);
       for (const abs of contextDeps) {
         const targetRel = path.relative(this.rootDir, abs);
-        this.graph.get(importerRel).add(targetRel);
+        this.addEdge(importerRel, targetRel, edgeKind);
+        if (loopRegistration) this.registerLoopComponent(targetRel);
       }
 
       const globFiles = await this.extractAndExpandGlobs(content, filePath);
       for (const abs of globFiles) {
         const targetRel = path.relative(this.rootDir, abs);
-        this.graph.get(importerRel).add(targetRel);
+        this.addEdge(importerRel, targetRel, edgeKind);
+        if (loopRegistration) this.registerLoopComponent(targetRel);
       }
 
       const workerFiles = this.extractWorkerDeps(content, filePath);
       for (const abs of workerFiles) {
         const targetRel = path.relative(this.rootDir, abs);
-        this.graph.get(importerRel).add(targetRel);
+        this.addEdge(importerRel, targetRel, edgeKind);
+      }
+
+      // 样式依赖：@import/@use/@forward、<style src>、HTML <link href>
+      for (const spec of this.extractStyleImports(content, filePath)) {
+        const abs = this.resolveStyleImport(spec, filePath);
+        if (abs) this.addEdge(importerRel, path.relative(this.rootDir, abs), edgeKind);
+      }
+
+      // 模板字符串 / 字符串拼接形式的路径：含变量部分时按 glob 展开，命中文件记为 dynamic 置信度的引用
+      for (const pattern of this.extractDynamicPatterns(content)) {
+        const dynamic = pattern.includes('*');
+        for (const abs of await this.expandDynamicPattern(pattern, filePath)) {
+          const targetRel = path.relative(this.rootDir, abs);
+          if (targetRel === importerRel || this.graph.get(importerRel).has(targetRel)) continue;
+          this.addEdge(importerRel, targetRel, edgeKind);
+          if (targetRel.endsWith('.vue') && this.allVueFiles.has(targetRel)) this.referencedFiles.add(targetRel);
+          if (this.allCodeFiles.has(targetRel)) this.referencedCodeFiles.add(targetRel);
+          if (!dynamic) continue;
+          if (!this.dynamicReferences.has(targetRel)) this.dynamicReferences.set(targetRel, []);
+          this.dynamicReferences.get(targetRel).push({ from: importerRel, pattern });
+        }
       }
     } catch (error) {
       if (this.options.verbose) {
@@ -346,9 +770,11 @@ class UnusedVueFinder {
   // 将模块说明符解析为绝对文件路径：支持别名（含回退）、绝对/相对路径、public 目录、目录 index.*
   resolveImportSpecifierToPath(specifier, importerPath) {
     try {
-      // 跳过外部依赖
+      const scoped = this.resolvePackageAlias(specifier, importerPath);
+      if (scoped) return scoped;
+      // 跳过外部依赖（工作区内的兄弟包除外）
       if (!specifier.startsWith('.') && !specifier.startsWith('/') && !this.startsWithAnyAlias(specifier)) {
-        return null;
+        return this.resolveWorkspaceImport(specifier);
       }
       // 去掉查询参数或哈希
       const cleaned = specifier.replace(/[?#].*$/, '');
@@ -363,6 +789,13 @@ class UnusedVueFinder {
           const norm = (r) => (r || '').replace(/^\//, '');
           const pushUnique = (r) => { if (!reps.includes(r)) reps.push(r); };
 
+          // 工作区模式：别名优先相对导入方所在包解析
+          const wsDir = this.getWorkspaceDir(path.relative(this.rootDir, importerPath));
+          if (wsDir) {
+            pushUnique('/' + wsDir + '/' + norm(primaryRep));
+            pushUnique('/' + wsDir + '/src');
+            pushUnique('/' + wsDir);
+          }
           pushUnique(primaryRep);
           // 常见回退：/src 与 /（项目根）互为兜底
           if (primaryRep !== '/src') pushUnique('/src');
@@ -414,6 +847,20 @@ class UnusedVueFinder {
     }
   }
 
+  // 导入方所在工作区包登记了专属别名时按其解析（较长的别名先匹配，~~ 优先于 ~）
+  resolvePackageAlias(specifier, importerPath) {
+    if (this.packageAliases.size === 0) return null;
+    const aliases = this.packageAliases.get(this.getWorkspaceDir(path.relative(this.rootDir, importerPath)));
+    if (!aliases) return null;
+    const cleaned = specifier.replace(/[?#].*$/, '');
+    for (const alias of Object.keys(aliases).sort((a, b) => b.length - a.length)) {
+      if (cleaned !== alias && !cleaned.startsWith(alias + '/')) continue;
+      const remainder = cleaned.slice(alias.length).replace(/^\/+/, '');
+      return this.resolveFileWithExtensions(path.join(this.rootDir, aliases[alias].replace(/^\//, ''), remainder));
+    }
+    return null;
+  }
+
   // 路径是否以任一别名开头
   startsWithAnyAlias(specifier) {
     for (const alias in this.options.alias) {
@@ -560,6 +1007,163 @@ class UnusedVueFinder {
     return results;
   }
 
+  // 提取样式依赖说明符：样式文件与 .vue 中的 @import/@use/@forward（@import 可逗号分隔多项、可写 url()），
+  // .vue 的 <style src>，HTML 的 <link rel="stylesheet" href>
+  extractStyleImports(content, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const specs = [];
+    let m;
+    if (ext === '.vue' || this.options.styleExtensions.includes(ext)) {
+      const ruleRe = /@(?:import|use|forward)\s+([^;\n]+)/g;
+      while ((m = ruleRe.exec(content)) !== null) {
+        // @use 'x' as y / with (...) 只取第一个字符串；@import 'a', 'b' 取全部
+        const strRe = /(?:url\(\s*)?['"]([^'"\n]+)['"]/g;
+        let s;
+        while ((s = strRe.exec(m[1])) !== null) {
+          specs.push(s[1]);
+          if (!m[0].startsWith('@import')) break;
+        }
+      }
+      const srcRe = /<style\b[^>]*\bsrc\s*=\s*['"]([^'"]+)['"]/g;
+      while ((m = srcRe.exec(content)) !== null) specs.push(m[1]);
+    } else if (ext === '.html') {
+      const linkRe = /<link\b[^>]*\bhref\s*=\s*['"]([^'"]+)['"][^>]*>/gi;
+      while ((m = linkRe.exec(content)) !== null) {
+        if (/stylesheet/i.test(m[0])) specs.push(m[1]);
+      }
+    }
+    return specs.filter((spec) => !/^(https?:)?\/\//i.test(spec) && !spec.startsWith('sass:') && !spec.startsWith('data:'));
+  }
+
+  // 按 Sass/Less 规则解析样式说明符：补扩展名、_partial、index/_index；~ 前缀指向 node_modules（不计入项目图）；
+  // 无前缀时先相对导入方，再相对项目根与 src
+  resolveStyleImport(spec, importerPath) {
+    const cleaned = spec.replace(/[?#].*$/, '');
+    if (!cleaned || cleaned.startsWith('~')) return null;
+    const bases = [];
+    if (this.startsWithAnyAlias(cleaned)) {
+      bases.push(this.resolveAliasInGlob(cleaned, importerPath));
+    } else if (cleaned.startsWith('/')) {
+      bases.push(path.join(this.rootDir, cleaned.slice(1)), path.join(this.rootDir, 'public', cleaned.slice(1)));
+    } else {
+      bases.push(path.resolve(path.dirname(importerPath), cleaned));
+      if (!cleaned.startsWith('.')) bases.push(path.join(this.rootDir, cleaned), path.join(this.rootDir, 'src', cleaned));
+    }
+    const exts = ['.scss', '.sass', '.css', '.less', '.styl'];
+    const isFile = (p) => {
+      try {
+        return fs.statSync(p).isFile();
+      } catch (_) {
+        return false;
+      }
+    };
+    for (const base of bases) {
+      const dir = path.dirname(base);
+      const name = path.basename(base);
+      const candidates = [base];
+      for (const ext of exts) {
+        candidates.push(base + ext, path.join(dir, '_' + name + ext));
+      }
+      for (const ext of exts) {
+        candidates.push(path.join(base, 'index' + ext), path.join(base, '_index' + ext));
+      }
+      if (path.extname(name)) candidates.push(path.join(dir, '_' + name));
+      const found = candidates.find(isFile);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // Vite css.preprocessorOptions.*.additionalData 与 Vue CLI css.loaderOptions.*.additionalData/prependData
+  // 注入的 @use/@import：这些样式会被注入到每个样式块，视为入口
+  detectInjectedStyleEntries() {
+    const found = [];
+    const prefixes = ['', ...this.workspacePackages.map((wp) => wp.dir)];
+    for (const prefix of prefixes) {
+      for (const name of ['vite.config.ts', 'vite.config.js', 'vite.config.mjs', 'vite.config.cjs', 'vite.config.mts', 'vue.config.js']) {
+        const abs = path.join(this.rootDir, prefix, name);
+        let content;
+        try {
+          content = fs.readFileSync(abs, 'utf8');
+        } catch (_) {
+          continue;
+        }
+        if (!/\b(additionalData|prependData)\b/.test(content)) continue;
+        const re = /@(?:use|import|forward)\s+\\?['"]([^'"\\\n]+)\\?['"]/g;
+        let m;
+        while ((m = re.exec(content)) !== null) {
+          const target = this.resolveStyleImport(m[1], abs);
+          if (!target) continue;
+          const rel = path.relative(this.rootDir, target);
+          if (!found.some((e) => e.rel === rel)) found.push({ rel, source: `${path.join(prefix, name)} additionalData` });
+        }
+      }
+    }
+    return found;
+  }
+
+  // 模板字符串与以字符串开头的拼接表达式 -> glob（插值与变量替换为 *）；只保留以 ./、../、/ 或别名开头的路径
+  extractDynamicPatterns(content) {
+    const patterns = new Set();
+    const push = (raw) => {
+      const glob = raw.replace(/\*+/g, '*').trim();
+      if (!glob || /\s/.test(glob)) return;
+      if (/^(\.{1,2}\/|\/[^/*])/.test(glob) || this.startsWithAnyAlias(glob)) patterns.add(glob);
+    };
+    let m;
+    // `@/views/${name}.vue`
+    const templateRe = /`([^`\n]*)`/g;
+    while ((m = templateRe.exec(content)) !== null) {
+      push(m[1].replace(/\$\{[^}]*\}/g, '*'));
+    }
+    // '/img/' + type + '.svg'：字符串与简单表达式（标识符、属性访问、调用、下标）交替
+    const operand = `(?:(['"])[^'"\\n]*\\1|[A-Za-z_$][\\w$.]*(?:\\([^()\\n]*\\))?(?:\\[[^\\]\\n]*\\])?)`;
+    const chainRe = new RegExp(`(['"])[^'"\\n]*\\1(?:\\s*\\+\\s*${operand.replace('\\1', '\\2')})+`, 'g');
+    const partRe = /(['"])([^'"\n]*)\1|[A-Za-z_$][\w$.]*(?:\([^()\n]*\))?(?:\[[^\]\n]*\])?/g;
+    while ((m = chainRe.exec(content)) !== null) {
+      let glob = '';
+      let part;
+      partRe.lastIndex = 0;
+      while ((part = partRe.exec(m[0])) !== null) {
+        glob += part[1] ? part[2] : '*';
+      }
+      push(glob);
+    }
+    return Array.from(patterns);
+  }
+
+  // 展开动态路径：无通配符时按普通说明符解析；以 / 开头时同时尝试 public 目录
+  async expandDynamicPattern(pattern, importerPath) {
+    if (!pattern.includes('*')) {
+      const abs = this.resolveImportSpecifierToPath(pattern, importerPath);
+      return abs ? [abs] : [];
+    }
+    const variants = [pattern];
+    if (pattern.startsWith('/')) variants.push('/public' + pattern);
+    const results = [];
+    for (const variant of variants) {
+      const key = variant.startsWith('.') ? `${path.dirname(importerPath)}:${variant}` : variant;
+      if (!this.dynamicGlobCache.has(key)) {
+        this.dynamicGlobCache.set(key, await this.expandGlobToFiles(variant, importerPath));
+      }
+      results.push(...this.dynamicGlobCache.get(key));
+    }
+    return results;
+  }
+
+  // 只被动态路径引用的可达文件（所有可达引用方都经由动态路径）
+  getDynamicReferences(reachableFiles) {
+    const result = [];
+    for (const [rel, refs] of this.dynamicReferences) {
+      const via = refs.filter((r) => reachableFiles.has(r.from));
+      if (via.length === 0) continue;
+      const dynamicFrom = new Set(via.map((r) => r.from));
+      const onlyDynamic = this.getReferrers(rel).every((from) => !reachableFiles.has(from) || dynamicFrom.has(from));
+      if (onlyDynamic) result.push({ path: rel, confidence: 'dynamic', via });
+    }
+    return result.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
   // 解析并展开 import.meta.glob / globEager
   async extractAndExpandGlobs(content, importerPath) {
     const results = new Set();
@@ -593,6 +1197,7 @@ class UnusedVueFinder {
     }
 
     const baseDir = this.getBaseDirFromGlob(absPattern);
+    if (!fs.existsSync(baseDir)) return [];
     const regex = this.globToRegex(absPattern);
     const files = await this.getAllFiles(baseDir);
     const matched = [];
@@ -604,15 +1209,18 @@ class UnusedVueFinder {
 
   resolveAliasInGlob(globPattern, importerPath) {
     let candidate = globPattern;
+    let aliased = false;
     for (const alias in this.options.alias) {
       if (candidate === alias || candidate.startsWith(alias + '/')) {
         const replacement = this.options.alias[alias].replace(/^\//, '');
         const remainder = candidate.replace(alias, '').replace(/^\/+/, '');
         candidate = path.join(this.rootDir, replacement, remainder);
+        aliased = true;
         break;
       }
     }
-    if (candidate.startsWith('/')) {
+    // 别名替换后已是绝对路径，不再按项目根映射
+    if (!aliased && candidate.startsWith('/')) {
       candidate = path.join(this.rootDir, candidate.replace(/^\//, ''));
     }
     if (globPattern.startsWith('./') || globPattern.startsWith('../')) {
@@ -623,7 +1231,7 @@ class UnusedVueFinder {
   }
 
   getBaseDirFromGlob(absPattern) {
-    const specials = ['*', '?', '[', ']'];
+    const specials = ['*', '?', '[', ']', '{'];
     let idx = -1;
     for (const ch of specials) {
       const i = absPattern.indexOf(ch);
@@ -634,94 +1242,602 @@ class UnusedVueFinder {
     return baseDir;
   }
 
-  globToRegex(absPattern) {
-    // 转义正则特殊字符
-    let s = absPattern.replace(/[.+^${}()|\\]/g, '\\$&');
-    // 处理 ** 和 *
-    s = s.replace(/\\\\\*\\\\\*/g, '::DOUBLE_STAR::');
-    s = s.replace(/\\\\\*/g, '[^/]*');
-    s = s.replace(/::DOUBLE_STAR::/g, '.*');
-    // 处理 ?
-    s = s.replace(/\\\\\?/g, '.');
+  // glob 转正则：支持 **（含 **/ 匹配零或多级目录）、*、?、{a,b}、[abc]，其余字符按字面量转义
+  globToRegex(pattern) {
+    let s = '';
+    let inGroup = false;
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (ch === '*') {
+        if (pattern[i + 1] === '*') {
+          if (pattern[i + 2] === '/') {
+            s += '(?:.*/)?';
+            i += 2;
+          } else {
+            s += '.*';
+            i += 1;
+          }
+        } else {
+          s += '[^/]*';
+        }
+      } else if (ch === '?') {
+        s += '[^/]';
+      } else if (ch === '{') {
+        s += '(?:';
+        inGroup = true;
+      } else if (ch === '}' && inGroup) {
+        s += ')';
+        inGroup = false;
+      } else if (ch === ',' && inGroup) {
+        s += '|';
+      } else if (ch === '[' && pattern.indexOf(']', i + 1) !== -1) {
+        const end = pattern.indexOf(']', i + 1);
+        s += '[' + pattern.slice(i + 1, end).replace(/\\/g, '\\\\') + ']';
+        i = end;
+      } else if ('.+^$()|[]\\'.includes(ch)) {
+        s += '\\' + ch;
+      } else {
+        s += ch;
+      }
+    }
     return new RegExp('^' + s + '$');
   }
 
-  // 扫描所有文件中的引用（源文件 + 样式 + .d.ts + .html）
-  async scanReferences() {
-    console.log("🔍 扫描文件引用...");
-    const allFiles = await this.getAllFiles(this.rootDir);
-    const exts = new Set([
-      ...this.options.extensions,
-      ...this.options.styleExtensions,
-      '.d.ts',
-      '.html',
-    ]);
-    const targetFiles = allFiles.filter((file) =>
-      Array.from(exts).some((ext) => file.endsWith(ext))
-    );
-    console.log(`📊 扫描 ${targetFiles.length} 个源代码文件`);
-    for (const file of targetFiles) {
-      await this.parseFileImports(file);
+  // Nuxt 3 探测：项目根与各工作区包分别探测（配置 nuxt: false 可关闭）
+  detectNuxtApps() {
+    if (this.options.nuxt === false) return this.nuxtApps;
+    const candidates = [{ dir: '', manifest: null }, ...this.workspacePackages.map((wp) => ({ dir: wp.dir, manifest: wp.manifest }))];
+    for (const { dir, manifest } of candidates) {
+      const app = this.detectNuxtApp(dir, manifest);
+      if (app) this.nuxtApps.push(app);
     }
-    console.log(`📊 初步识别到 ${this.referencedFiles.size} 个被引用的.vue文件`);
+    return this.nuxtApps;
   }
 
-  // 从入口文件出发，遍历依赖图，找出可达的 .vue 文件
-  async getReachableVueFiles() {
-    const entries = await this.detectEntryFiles();
-    if (this.options.verbose) {
-      console.log(`🚪 入口文件: ${entries.join(', ')}`);
+  // 目录下存在 nuxt.config.*，或其 package.json 依赖 nuxt 时视为 Nuxt 应用；srcDir 取配置值，或 Nuxt 4 的 app/（相对该目录）
+  // nuxt: true 仅在非工作区模式下强制项目根按 Nuxt 处理
+  detectNuxtApp(dir = '', manifest = null) {
+    const inDir = (p) => (dir ? `${dir}/${p}` : p);
+    const configFile = ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs', 'nuxt.config.mts']
+      .map(inDir)
+      .find((rel) => fs.existsSync(path.join(this.rootDir, rel)));
+    const deps = manifest ? { ...manifest.devDependencies, ...manifest.dependencies } : {};
+    const forced = !dir && this.options.nuxt === true && this.workspacePackages.length === 0;
+    if (!configFile && !deps.nuxt && !forced) return null;
+
+    let srcDir = '';
+    if (configFile) {
+      try {
+        const content = fs.readFileSync(path.join(this.rootDir, configFile), 'utf8');
+        const m = /\bsrcDir\s*:\s*['"]([^'"\n]+)['"]/.exec(content);
+        if (m) srcDir = m[1].replace(/^\.?\//, '').replace(/\/+$/, '');
+      } catch (_) {}
     }
+    if (!srcDir && (fs.existsSync(path.join(this.rootDir, dir, 'app', 'pages')) || fs.existsSync(path.join(this.rootDir, dir, 'app', 'app.vue')))) {
+      srcDir = 'app';
+    }
+    return { dir, configFile: configFile || null, srcDir };
+  }
 
-    const visited = new Set();
-    const reachableVue = new Set();
-    const queue = [...entries];
+  // 应用 Nuxt 约定：别名、入口目录、组件目录（路径前缀命名）与构建产物目录；工作区包以其目录为前缀
+  applyNuxtConventions(app) {
+    const inDir = (p) => (app.dir ? `${app.dir}/${p}` : p);
+    const inSrc = (p) => inDir(app.srcDir ? `${app.srcDir}/${p}` : p);
 
-    while (queue.length) {
-      const current = queue.shift();
-      if (visited.has(current)) continue;
-      visited.add(current);
+    // 工作区包内的应用只为本包登记别名，避免覆盖项目根与其它包的 ~ / @
+    if (app.dir) {
+      const srcRoot = '/' + inSrc('').replace(/\/$/, '');
+      this.packageAliases.set(app.dir, { '~': srcRoot, '@': srcRoot, '~~': '/' + app.dir, '@@': '/' + app.dir });
+    } else {
+      this.options.alias['~'] = '/' + app.srcDir;
+      this.options.alias['@'] = '/' + app.srcDir;
+      this.options.alias['~~'] = '/';
+      this.options.alias['@@'] = '/';
+      for (const key of ['@/components', '@/views', '_/components', '_/views']) {
+        delete this.options.alias[key];
+      }
+    }
 
-      if (current.endsWith('.vue')) reachableVue.add(current);
+    for (const dir of ['.nuxt', '.output']) {
+      if (!this.options.ignoreDirs.includes(dir)) this.options.ignoreDirs.push(dir);
+    }
 
-      const neighbors = this.graph.get(current);
-      if (!neighbors) continue;
-      for (const n of neighbors) {
-        if (!visited.has(n)) queue.push(n);
-      }
+    const code = '{vue,ts,js,tsx,jsx,mjs,mts}';
+    app.entries = [
+      inSrc('app.vue'),
+      inSrc('error.vue'),
+      inSrc('app.config.{ts,js}'),
+      inSrc(`pages/**/*.${code}`),
+      inSrc(`layouts/**/*.${code}`),
+      inSrc(`middleware/**/*.${code}`),
+      inSrc(`plugins/*.${code}`),
+      inSrc(`plugins/*/index.${code}`),
+      inDir(`server/**/*.${code}`),
+      ...(app.configFile ? [app.configFile] : []),
+    ];
+    this.options.entries = [...this.options.entries, ...app.entries];
+
+    // 根应用替换默认的 src/components；工作区包的组件目录与其它包的并存
+    app.componentDirs = [];
+    if (!this.explicitOptionKeys.has('componentDirs')) {
+      if (!app.dir) this.options.componentDirs = [];
+      app.componentDirs.push(inSrc('components'));
     }
+    if (!app.dir) this.options.directoryAsNamespace = true;
 
-    return reachableVue;
+    if (this.options.verbose) {
+      this.log(`🟢 Nuxt 模式: ${app.dir || '.'} srcDir='${app.srcDir || '.'}'`);
+    }
   }
 
-  // 获取从入口出发可达的所有文件（相对路径）
-  async getReachableFiles() {
-    const entries = await this.detectEntryFiles();
-    const visited = new Set();
-    const queue = [...entries];
-    while (queue.length) {
-      const current = queue.shift();
-      if (visited.has(current)) continue;
-      visited.add(current);
-      const neighbors = this.graph.get(current);
-      if (!neighbors) continue;
-      for (const n of neighbors) {
-        if (!visited.has(n)) queue.push(n);
+  // Nuxt 自动导入：composables/、utils/（顶层文件与子目录 index）及 server/utils/ 的导出名 -> 文件
+  async buildAutoImportRegistry() {
+    const dirs = [];
+    for (const app of this.nuxtApps) {
+      const inDir = (p) => (app.dir ? `${app.dir}/${p}` : p);
+      for (const d of ['composables', 'utils']) dirs.push(inDir(app.srcDir ? `${app.srcDir}/${d}` : d));
+      dirs.push(inDir('server/utils'));
+    }
+    for (const rel of this.allCodeFiles) {
+      const normalized = rel.split(path.sep).join('/');
+      const dir = dirs.find((d) => normalized.startsWith(d + '/'));
+      if (!dir) continue;
+      const rest = normalized.slice(dir.length + 1).split('/');
+      if (rest.length > 2 || (rest.length === 2 && !/^index\.\w+$/.test(rest[1]))) continue;
+      try {
+        const abs = path.join(this.rootDir, rel);
+        const info = this.extractExportInfo(await readFile(abs, 'utf8'), abs);
+        for (const name of info.declared.keys()) {
+          const importName = name === 'default'
+            ? toCamelCase(rest.length === 2 ? rest[0] : path.basename(rest[0], path.extname(rest[0])))
+            : name;
+          if (!this.autoImportRegistry.has(importName)) this.autoImportRegistry.set(importName, new Set());
+          this.autoImportRegistry.get(importName).add(rel);
+        }
+      } catch (_) {}
+    }
+    if (this.options.verbose) {
+      this.log(`🟢 自动导入: ${this.autoImportRegistry.size} 个标识符`);
+    }
+  }
+
+  // 源文件中出现的自动导入标识符，记为使用方 -> 定义文件的图边
+  async linkAutoImports() {
+    if (this.autoImportRegistry.size === 0) return;
+    const sourceExts = new Set([...this.options.extensions, ...this.options.codeExtensions, '.mts']);
+    for (const rel of Array.from(this.graph.keys())) {
+      if (!sourceExts.has(path.extname(rel).toLowerCase()) || rel.endsWith('.d.ts')) continue;
+      let content;
+      try {
+        content = await readFile(path.join(this.rootDir, rel), 'utf8');
+      } catch (_) {
+        continue;
+      }
+      // 只认词法上的标识符（注释、字符串中的同名文字不算），且排除 obj.name 形式的属性访问
+      const seen = new Set();
+      for (const segment of scriptSegmentsOf(content, rel)) {
+        const { tokens } = tokenizeScript(segment.code);
+        tokens.forEach((t, k) => {
+          const prev = tokens[k - 1];
+          if (t.type === 'name' && !(prev && prev.type === 'punct' && prev.value === '.')) seen.add(t.value);
+        });
+      }
+      for (const ident of seen) {
+        const targets = this.autoImportRegistry.get(ident);
+        if (!targets) continue;
+        for (const target of targets) {
+          if (target === rel) continue;
+          this.addEdge(rel, target);
+          this.referencedCodeFiles.add(target);
+          if (this.options.verbose) this.log(`🟢 自动导入引用: ${target} <- ${rel} (${ident})`);
+        }
       }
     }
-    return visited;
   }
 
-  // 从可达文件中提取静态资源引用
-  async computeReferencedAssetsFromReachable(reachableFiles) {
-    this.referencedAssets.clear();
-    const assetExts = new Set(this.options.assetExtensions.map(e => e.toLowerCase()));
+  // 工作区：读取 pnpm-workspace.yaml 或 package.json#workspaces，登记各包名称、目录与 manifest
+  async loadWorkspacePackages() {
+    if (this.options.workspace === false) return [];
+    const patterns = this.readWorkspacePatterns();
+    if (patterns.length === 0) return [];
+    const toRegex = (p) => this.globToRegex(p.replace(/^!/, '').replace(/^\.?\//, '').replace(/\/+$/, ''));
+    const includes = patterns.filter((p) => !p.startsWith('!')).map(toRegex);
+    const excludes = patterns.filter((p) => p.startsWith('!')).map(toRegex);
 
-    // 1) 先把图可达的资产节点直接标记为已引用，避免漏报（JS/TS/Vue 中通过 import/require 引用的图片等）
-    for (const rel of reachableFiles) {
-      const ext = path.extname(rel).toLowerCase();
-      if (ext && assetExts.has(ext) && this.allAssetFiles.has(rel)) {
-        this.referencedAssets.add(rel);
+    const dirs = await this.getAllDirs(this.rootDir);
+    for (const abs of dirs) {
+      const rel = path.relative(this.rootDir, abs).split(path.sep).join('/');
+      if (!includes.some((re) => re.test(rel)) || excludes.some((re) => re.test(rel))) continue;
+      const manifestPath = path.join(abs, 'package.json');
+      if (!fs.existsSync(manifestPath)) continue;
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        this.workspacePackages.push({ name: manifest.name || rel, dir: rel, manifest });
+      } catch (e) {
+        if (this.options.verbose) this.log(`⚠️ 读取工作区包失败 ${rel}: ${e.message}`);
+      }
+    }
+    // 目录越深越先匹配，保证嵌套包归属正确
+    this.workspacePackages.sort((a, b) => b.dir.length - a.dir.length);
+    for (const wp of this.workspacePackages) this.workspaceByName.set(wp.name, wp);
+    if (this.workspacePackages.length > 0) {
+      this.log(`📦 工作区模式: ${this.workspacePackages.length} 个包`);
+      if (this.options.verbose) {
+        for (const wp of this.workspacePackages) this.log(`📦 ${wp.name} -> ${wp.dir}`);
+      }
+    }
+    return this.workspacePackages;
+  }
+
+  // 读取工作区 glob 列表（pnpm-workspace.yaml 优先，其次 package.json#workspaces）
+  readWorkspacePatterns() {
+    const yamlPath = path.join(this.rootDir, 'pnpm-workspace.yaml');
+    if (fs.existsSync(yamlPath)) {
+      const patterns = [];
+      let inPackages = false;
+      for (const line of fs.readFileSync(yamlPath, 'utf8').split(/\r?\n/)) {
+        if (/^packages\s*:/.test(line)) {
+          inPackages = true;
+          const inline = /\[(.*)\]/.exec(line);
+          if (inline) {
+            patterns.push(...inline[1].split(',').map((p) => p.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean));
+            inPackages = false;
+          }
+          continue;
+        }
+        if (!inPackages) continue;
+        const item = /^\s*-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/.exec(line);
+        if (item) {
+          patterns.push(item[1]);
+        } else if (/^\S/.test(line)) {
+          inPackages = false;
+        }
+      }
+      return patterns;
+    }
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(this.rootDir, 'package.json'), 'utf8'));
+      const ws = pkg.workspaces;
+      if (Array.isArray(ws)) return ws;
+      if (ws && Array.isArray(ws.packages)) return ws.packages;
+    } catch (_) {}
+    return [];
+  }
+
+  // 文件所属的工作区包（相对路径），不属于任何包返回 null
+  getWorkspacePackage(rel) {
+    const normalized = rel.split(path.sep).join('/');
+    return this.workspacePackages.find((wp) => normalized === wp.dir || normalized.startsWith(wp.dir + '/')) || null;
+  }
+
+  getWorkspaceDir(rel) {
+    const wp = this.getWorkspacePackage(rel);
+    return wp ? wp.dir : '';
+  }
+
+  // 按包名解析工作区内的兄弟包：优先 exports，其次 module/main，再回退 src/index；构建产物路径优先映射回源码
+  resolveWorkspaceImport(specifier) {
+    if (this.workspaceByName.size === 0) return null;
+    const name = this.getPackageName(specifier);
+    const wp = name && this.workspaceByName.get(name);
+    if (!wp) return null;
+
+    const sub = specifier.replace(/[?#].*$/, '').slice(name.length).replace(/^\/+/, '');
+    const pkgAbs = path.join(this.rootDir, wp.dir);
+    const targets = [];
+    const exported = resolvePackageExports(wp.manifest.exports, sub ? './' + sub : '.');
+    if (exported) targets.push(exported);
+    if (sub) {
+      targets.push(sub, 'src/' + sub);
+    } else {
+      for (const field of ['module', 'main']) {
+        if (typeof wp.manifest[field] === 'string') targets.push(wp.manifest[field]);
+      }
+      targets.push('src/index', 'index');
+    }
+
+    const buildDirRe = /^(?:\.\/)?(dist|lib|build|es|esm|cjs)\//;
+    for (const target of targets) {
+      const tries = [];
+      if (buildDirRe.test(target)) {
+        tries.push(target.replace(buildDirRe, 'src/').replace(/(\.d)?\.(m|c)?[jt]s$/, ''));
+      }
+      tries.push(target);
+      for (const t of tries) {
+        const resolved = this.resolveFileWithExtensions(path.join(pkgAbs, t));
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  }
+
+  // 组件名注册表：按目录约定（unplugin-vue-components 风格）登记组件名 -> .vue 文件
+  async buildComponentRegistry() {
+    this.loadComponentsPluginOptions();
+    for (const dir of this.options.componentDirs) {
+      this.registerComponentDir(dir, { namespace: this.options.directoryAsNamespace });
+    }
+    for (const app of this.nuxtApps) {
+      for (const dir of app.componentDirs) this.registerComponentDir(dir, { namespace: true });
+    }
+    const explicit = this.options.globalComponents || {};
+    for (const name in explicit) {
+      const rel = String(explicit[name]).replace(/^\.?\//, '');
+      if (this.allVueFiles.has(rel)) this.registerComponent(name, rel);
+    }
+    if (this.options.verbose) {
+      this.log(`🧱 组件注册表: ${this.componentRegistry.size} 个组件名`);
+    }
+  }
+
+  // 登记目录下的全部 .vue 组件；namespace 为真时以子目录名作前缀（form/Input.vue -> FormInput）
+  registerComponentDir(dirRel, { namespace = false, prefix = '' } = {}) {
+    const base = dirRel.replace(/^\.?\//, '').replace(/\/+$/, '');
+    for (const rel of this.allVueFiles) {
+      const normalized = rel.split(path.sep).join('/');
+      if (!normalized.startsWith(base + '/')) continue;
+      const segments = normalized.slice(base.length + 1).replace(/\.vue$/, '').split('/');
+      if (segments[segments.length - 1] === 'index' && segments.length > 1) segments.pop();
+      // Foo.client.vue / Foo.server.vue 与 Foo 同名
+      const fileName = toPascalCase(segments[segments.length - 1].replace(/\.(client|server)$/, ''));
+      let name = fileName;
+      if (namespace) {
+        const ns = segments.slice(0, -1).map(toPascalCase).join('');
+        name = fileName.startsWith(ns) ? fileName : ns + fileName;
+      }
+      this.registerComponent(toPascalCase(prefix) + name, rel);
+    }
+  }
+
+  registerComponent(name, rel) {
+    const key = toPascalCase(name);
+    if (!this.componentRegistry.has(key)) this.componentRegistry.set(key, new Set());
+    this.componentRegistry.get(key).add(rel);
+  }
+
+  // 从 vite 配置的 Components({ dirs, directoryAsNamespace }) 中读取组件目录
+  loadComponentsPluginOptions() {
+    for (const rel of ['vite.config.ts', 'vite.config.js', 'vite.config.mjs', 'vite.config.cjs']) {
+      const abs = path.join(this.rootDir, rel);
+      if (!fs.existsSync(abs)) continue;
+      try {
+        const content = fs.readFileSync(abs, 'utf8');
+        const m = /\bComponents\(\s*\{([\s\S]*?)\}\s*\)/.exec(content);
+        if (!m) continue;
+        const dirsMatch = /\bdirs\s*:\s*(\[[^\]]*\]|['"][^'"]+['"])/.exec(m[1]);
+        if (dirsMatch && !this.explicitOptionKeys.has('componentDirs')) {
+          const dirs = [];
+          const strRe = /['"]([^'"\n]+)['"]/g;
+          let s;
+          while ((s = strRe.exec(dirsMatch[1])) !== null) dirs.push(s[1]);
+          if (dirs.length > 0) this.options.componentDirs = dirs;
+        }
+        if (/\bdirectoryAsNamespace\s*:\s*true/.test(m[1])) this.options.directoryAsNamespace = true;
+        if (this.options.verbose) {
+          this.log(`🧱 读取组件自动导入配置: ${rel} -> ${this.options.componentDirs.join(', ')}`);
+        }
+      } catch (_) {}
+      break;
+    }
+  }
+
+  // 识别 app.component('Name', Comp) / Vue.component('name', () => import('...')) 形式的全局注册
+  extractGlobalRegistrations(content, filePath) {
+    const re = /\.component\(\s*['"]([\w-]+)['"]\s*,\s*([\s\S]{0,200}?)\)/g;
+    let m;
+    while ((m = re.exec(content)) !== null) {
+      const name = m[1];
+      const arg = m[2];
+      let spec = null;
+      const dyn = /import\(\s*['"]([^'"\n]+)['"]/.exec(arg);
+      if (dyn) {
+        spec = dyn[1];
+      } else {
+        const ident = /^\s*([\w$]+)/.exec(arg);
+        if (ident) {
+          const impRe = new RegExp(`import\\s+${ident[1].replace(/\$/g, '\\$')}\\s+from\\s+['"]([^'"\\n]+)['"]`);
+          const imp = impRe.exec(content);
+          if (imp) spec = imp[1];
+        }
+      }
+      if (!spec) continue;
+      const abs = this.resolveImportSpecifierToPath(spec, filePath);
+      if (!abs) continue;
+      const rel = path.relative(this.rootDir, abs);
+      if (this.allVueFiles.has(rel)) {
+        this.registerComponent(name, rel);
+        if (this.options.verbose) this.log(`🧱 全局注册组件: ${name} -> ${rel}`);
+      }
+    }
+  }
+
+  // 循环注册的组件名通常由文件名推出（Foo/index.vue 取目录名）
+  registerLoopComponent(rel) {
+    if (!this.allVueFiles.has(rel)) return;
+    const base = path.basename(rel, '.vue');
+    const name = base === 'index' ? path.basename(path.dirname(rel)) : base;
+    this.registerComponent(name, rel);
+    if (this.options.verbose) this.log(`🧱 循环注册组件: ${toPascalCase(name)} -> ${rel}`);
+  }
+
+  // 提取 <template> 中的自定义标签（PascalCase 或 kebab-case）
+  extractTemplateTags(content) {
+    const tags = new Set();
+    const start = content.indexOf('<template');
+    const end = content.lastIndexOf('</template>');
+    if (start === -1 || end <= start) return tags;
+    const template = content.slice(start, end).replace(/<!--[\s\S]*?-->/g, '');
+    const re = /<([A-Za-z][\w.-]*)/g;
+    let m;
+    while ((m = re.exec(template)) !== null) {
+      const tag = m[1];
+      if (/^[A-Z]/.test(tag) || tag.includes('-')) tags.add(tag);
+    }
+    return tags;
+  }
+
+  // 模板中用到的组件名命中注册表时，记为使用方 -> 组件文件的图边
+  linkTemplateComponents() {
+    let linked = 0;
+    for (const [rel, tags] of this.templateTags) {
+      for (const tag of tags) {
+        const name = toPascalCase(tag);
+        // Nuxt 的 <LazyFoo> 为 <Foo> 的懒加载变体
+        const targets = this.componentRegistry.get(name) ||
+          (this.nuxtApps.length > 0 && name.startsWith('Lazy') ? this.componentRegistry.get(name.slice(4)) : null);
+        if (!targets) continue;
+        for (const target of targets) {
+          if (target === rel) continue;
+          if (this.graph.has(rel) && this.graph.get(rel).has(target)) continue;
+          this.addEdge(rel, target);
+          this.referencedFiles.add(target);
+          linked += 1;
+          if (this.options.verbose) {
+            this.log(`🧩 模板组件: ${target} <- ${rel} (<${tag}>)`);
+          }
+        }
+      }
+    }
+    if (this.options.verbose) {
+      this.log(`📊 通过模板标签补充 ${linked} 条组件引用`);
+    }
+  }
+
+  // 扫描所有文件中的引用（源文件 + 样式 + .d.ts + .html）
+  async scanReferences() {
+    this.log("🔍 扫描文件引用...");
+    const allFiles = await this.getAllFiles(this.rootDir);
+    const exts = new Set([
+      ...this.options.extensions,
+      ...this.options.styleExtensions,
+      '.d.ts',
+      '.html',
+    ]);
+    const targetFiles = allFiles.filter((file) =>
+      Array.from(exts).some((ext) => file.endsWith(ext))
+    );
+    this.log(`📊 扫描 ${targetFiles.length} 个源代码文件`);
+    for (const file of targetFiles) {
+      await this.parseFileImports(file);
+    }
+    this.log(`📊 初步识别到 ${this.referencedFiles.size} 个被引用的.vue文件`);
+  }
+
+  // 收集测试与 Stories 文件（包括 ignoreDirs 中的测试目录）并解析其导入；它们是第二组根，不再作为未使用候选
+  async scanTestAndStoryFiles() {
+    const ignoreDirs = this.options.ignoreDirs.filter((dir) => !TEST_DIR_NAMES.has(dir));
+    const exts = new Set([...this.options.extensions, ...this.options.codeExtensions]);
+    for (const file of await this.getAllFiles(this.rootDir, [], ignoreDirs)) {
+      const rel = path.relative(this.rootDir, file);
+      if (!exts.has(path.extname(rel).toLowerCase()) || rel.endsWith('.d.ts')) continue;
+      const wsDir = this.getWorkspaceDir(rel);
+      const paths = wsDir ? [rel, rel.split(path.sep).join('/').slice(wsDir.length + 1)] : [rel];
+      const matches = (patterns) => paths.some((p) => this.matchesAnyPattern(p, patterns));
+      const isStory = matches(this.options.storyPatterns);
+      if (!isStory && (rel.endsWith('.vue') || !matches(this.options.testPatterns))) continue;
+      (isStory ? this.storyFiles : this.testFiles).add(rel);
+      // 位于忽略目录中的测试未被 scanReferences 解析
+      if (!this.graph.has(rel)) await this.parseFileImports(file);
+      this.allVueFiles.delete(rel);
+      this.allCodeFiles.delete(rel);
+    }
+    if (this.options.verbose) {
+      this.log(`🧪 测试文件 ${this.testFiles.size} 个，Stories 文件 ${this.storyFiles.size} 个`);
+    }
+  }
+
+  // 添加依赖边；同一条边按最强的类型记录（runtime > type > declaration），运行时边不单独记录
+  addEdge(from, to, kind = 'runtime') {
+    if (!this.graph.has(from)) this.graph.set(from, new Set());
+    const targets = this.graph.get(from);
+    if (targets.has(to) && EDGE_KINDS.indexOf(this.getEdgeKind(from, to)) <= EDGE_KINDS.indexOf(kind)) return;
+    targets.add(to);
+    if (kind === 'runtime') {
+      if (this.edgeKinds.has(from)) this.edgeKinds.get(from).delete(to);
+      return;
+    }
+    if (!this.edgeKinds.has(from)) this.edgeKinds.set(from, new Map());
+    this.edgeKinds.get(from).set(to, kind);
+  }
+
+  getEdgeKind(from, to) {
+    const kinds = this.edgeKinds.get(from);
+    return (kinds && kinds.get(to)) || 'runtime';
+  }
+
+  // 遍历用的邻接点；runtimeOnly 时跳过仅类型与声明文件的边
+  getNeighbors(rel, runtimeOnly = this.options.runtimeOnly) {
+    const targets = this.graph.get(rel);
+    if (!targets) return [];
+    if (!runtimeOnly) return targets;
+    return Array.from(targets).filter((to) => this.getEdgeKind(rel, to) === 'runtime');
+  }
+
+  // 从入口文件出发，遍历依赖图，找出可达的 .vue 文件
+  async getReachableVueFiles() {
+    const entries = await this.detectEntryFiles();
+    this.log(`🚪 入口文件 (${entries.length} 个):`);
+    for (const rel of entries) {
+      this.log(`   - ${rel}（${this.entrySources.get(rel) || '约定路径'}）`);
+    }
+
+    const visited = new Set();
+    const reachableVue = new Set();
+    const queue = [...entries];
+
+    while (queue.length) {
+      const current = queue.shift();
+      if (visited.has(current)) continue;
+      visited.add(current);
+
+      if (current.endsWith('.vue')) reachableVue.add(current);
+
+      for (const n of this.getNeighbors(current)) {
+        if (!visited.has(n)) queue.push(n);
+      }
+    }
+
+    return reachableVue;
+  }
+
+  // 获取从入口出发可达的所有文件（相对路径）
+  // parents 传入 Map 时记录 BFS 父节点（文件 -> 首次发现它的导入方），用于还原最短导入链；roots 替代入口作为起点
+  async getReachableFiles(parents = null, { runtimeOnly = this.options.runtimeOnly, roots = null } = {}) {
+    const entries = roots ? Array.from(roots) : await this.detectEntryFiles();
+    const visited = new Set();
+    const queue = [...entries];
+    const entrySet = new Set(entries);
+    while (queue.length) {
+      const current = queue.shift();
+      if (visited.has(current)) continue;
+      visited.add(current);
+      for (const n of this.getNeighbors(current, runtimeOnly)) {
+        if (visited.has(n)) continue;
+        if (parents && !parents.has(n) && !entrySet.has(n)) parents.set(n, current);
+        queue.push(n);
+      }
+    }
+    return visited;
+  }
+
+  // 从可达文件中提取静态资源引用
+  async computeReferencedAssetsFromReachable(reachableFiles) {
+    this.referencedAssets.clear();
+    this.assetReferrers.clear();
+    const assetExts = new Set(this.options.assetExtensions.map(e => e.toLowerCase()));
+    const addReferrer = (asset, from) => {
+      if (!this.assetReferrers.has(asset)) this.assetReferrers.set(asset, new Set());
+      this.assetReferrers.get(asset).add(from);
+    };
+
+    // 1) 先把图可达的资产节点直接标记为已引用，避免漏报（JS/TS/Vue 中通过 import/require 引用的图片等）
+    for (const rel of reachableFiles) {
+      const ext = path.extname(rel).toLowerCase();
+      if (ext && assetExts.has(ext) && this.allAssetFiles.has(rel)) {
+        this.referencedAssets.add(rel);
+        for (const from of this.getReferrers(rel)) {
+          if (reachableFiles.has(from)) addReferrer(rel, from);
+        }
       }
     }
 
@@ -734,8 +1850,9 @@ class UnusedVueFinder {
           const relPath = path.relative(this.rootDir, absPath);
           if (this.allAssetFiles.has(relPath)) {
             this.referencedAssets.add(relPath);
+            addReferrer(relPath, rel);
             if (this.options.verbose) {
-              console.log(`🖼️ 资源引用: ${relPath} <- ${rel}`);
+              this.log(`🖼️ 资源引用: ${relPath} <- ${rel}`);
             }
           }
         }
@@ -743,8 +1860,8 @@ class UnusedVueFinder {
     }
   }
 
-  // 提取内容中的静态资源路径
-  extractAssetReferencesFromContent(content, importerPath) {
+  // 提取内容中的静态资源路径；传入 specs 数组时同时记录原始写法 { spec, abs }（供改写引用使用）
+  extractAssetReferencesFromContent(content, importerPath, specs = null) {
     const results = new Set();
     if (!content) return results;
 
@@ -752,50 +1869,71 @@ class UnusedVueFinder {
       const cleaned = spec.replace(/[\?#].*$/, '').trim();
       if (!cleaned || /^https?:\/\//i.test(cleaned) || /^data:/i.test(cleaned)) return;
       const abs = this.resolveImportSpecifierToPath(cleaned, importerPath);
-      if (abs) results.add(abs);
+      if (abs) {
+        results.add(abs);
+        if (specs) specs.push({ spec: cleaned, abs });
+      }
     };
 
-    // CSS url(...)
+    const ext = path.extname(importerPath).toLowerCase();
+    const isStyle = this.options.styleExtensions.includes(ext);
+    const code = stripComments(content, importerPath, isStyle);
     const urlRe = /url\(\s*([^\)]+)\s*\)/gi;
-    let m;
-    while ((m = urlRe.exec(content)) !== null) {
-      const raw = m[1].trim().replace(/^['"]|['"]$/g, '');
-      pushResolved(raw);
-    }
-
-    // new URL('x', import.meta.url)
-    const newUrlRe = /new\s+URL\(\s*['"]([^'"\n]+)['"]\s*,\s*import\.meta\.url\s*\)/g;
-    while ((m = newUrlRe.exec(content)) !== null) {
-      pushResolved(m[1]);
-    }
+    const pushUrls = (text) => {
+      let m;
+      while ((m = urlRe.exec(text)) !== null) {
+        pushResolved(m[1].trim().replace(/^['"]|['"]$/g, ''));
+      }
+    };
+    const pushSrcset = (value) => {
+      for (const item of value.split(',')) {
+        const url = item.trim().split(/\s+/)[0];
+        if (url) pushResolved(url);
+      }
+    };
 
-    // require('...')（支持在 Vue 模板或脚本中出现）
-    const reqRe = /require\(\s*['"]([^'"\n]+)['"]\s*\)/g;
-    while ((m = reqRe.exec(content)) !== null) {
-      pushResolved(m[1]);
+    // 样式文件：仅 CSS url(...)
+    if (isStyle) {
+      pushUrls(code);
+      return results;
     }
 
-    // import 语句（支持多行）
-    const impFromRe = /import[\s\S]*?from\s+['"]([^'"\n]+)['"]/g;
-    while ((m = impFromRe.exec(content)) !== null) {
-      pushResolved(m[1]);
-    }
-    const impBareRe = /import\s+['"]([^'"\n]+)['"]/g;
-    while ((m = impBareRe.exec(content)) !== null) {
-      pushResolved(m[1]);
+    // .vue/.html 的标记部分：src/srcset 属性与 url(...)（含 <style> 块、style 属性）；
+    // 脚本块交给下方的词法分析，<pre>/<code> 中的示例代码不计入
+    if (ext === '.vue' || ext === '.html') {
+      let markup = code;
+      for (const block of splitSfcBlocks(code).scripts) {
+        markup = blankRange(markup, block.start, block.start + block.content.length);
+      }
+      markup = markup.replace(/(<(pre|code)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (all, open, tag, inner, close) =>
+        open + inner.replace(/[^\n]/g, ' ') + close
+      );
+      pushUrls(markup);
+      const attrRe = /<[A-Za-z][^>]*?\s(src|srcset)\s*=\s*(?:"([^"\n]+)"|'([^'\n]+)')/g;
+      let m;
+      while ((m = attrRe.exec(markup)) !== null) {
+        const value = m[2] || m[3];
+        if (m[1] === 'srcset') pushSrcset(value);
+        else pushResolved(value);
+      }
     }
 
-    // HTML/Vue 模板里的 src/srcset 属性（简化处理）
-    const srcRe = /\bsrc\s*=\s*['"]([^'"\n]+)['"]/g;
-    while ((m = srcRe.exec(content)) !== null) {
-      pushResolved(m[1]);
-    }
-    const srcsetRe = /\bsrcset\s*=\s*['"]([^'"\n]+)['"]/g;
-    while ((m = srcsetRe.exec(content)) !== null) {
-      const items = m[1].split(',');
-      for (const item of items) {
-        const url = item.trim().split(/\s+/)[0];
-        if (url) pushResolved(url);
+    // 脚本（含模板表达式）：import/export from/require/import()、new URL('x', import.meta.url)、JSX 的 src/srcset 属性、字符串中的 url(...)
+    for (const segment of scriptSegmentsOf(code, importerPath)) {
+      for (const request of extractModuleRequests(segment.code)) pushResolved(request.spec);
+      const { tokens } = tokenizeScript(segment.code);
+      const isStatic = (t) => t && (t.type === 'string' || (t.type === 'template' && t.head && t.tail));
+      const seq = (k, values) => values.every((v, n) => tokens[k + n] && tokens[k + n].type !== 'string' && tokens[k + n].value === v);
+      for (let k = 0; k < tokens.length; k++) {
+        const t = tokens[k];
+        if (t.type === 'string' || t.type === 'template') {
+          if (t.value.includes('url(')) pushUrls(t.value);
+        } else if (seq(k, ['new', 'URL', '(']) && isStatic(tokens[k + 3]) && seq(k + 4, [',', 'import', '.', 'meta', '.', 'url'])) {
+          pushResolved(tokens[k + 3].value);
+        } else if (t.type === 'name' && (t.value === 'src' || t.value === 'srcset') && seq(k + 1, ['=']) && isStatic(tokens[k + 2])) {
+          if (t.value === 'srcset') pushSrcset(tokens[k + 2].value);
+          else pushResolved(tokens[k + 2].value);
+        }
       }
     }
 
@@ -818,13 +1956,13 @@ class UnusedVueFinder {
           this.options.alias[key] = normalized;
           if (this.options.verbose) {
             if (existed && existed !== normalized) {
-              console.log(`🧭 覆盖别名: '${key}' ${existed} -> ${normalized}`);
+              this.log(`🧭 覆盖别名: '${key}' ${existed} -> ${normalized}`);
             } else {
-              console.log(`🧭 发现别名: '${key}' -> '${normalized}'`);
+              this.log(`🧭 发现别名: '${key}' -> '${normalized}'`);
             }
           }
         } else if (this.options.verbose) {
-          console.log(`⚠️ 跳过别名(越界或不存在): '${key}' -> '${normalized}'`);
+          this.log(`⚠️ 跳过别名(越界或不存在): '${key}' -> '${normalized}'`);
         }
       }
     };
@@ -913,10 +2051,13 @@ class UnusedVueFinder {
         }
       } catch (e) {
         if (this.options.verbose) {
-          console.log(`⚠️ 读取别名配置失败 ${rel}: ${e.message}`);
+          this.log(`⚠️ 读取别名配置失败 ${rel}: ${e.message}`);
         }
       }
     }
+
+    // 项目配置中的别名优先于自动探测结果
+    Object.assign(this.options.alias, this.configAliases);
   }
 
   normalizeAliasReplacement(val) {
@@ -925,7 +2066,113 @@ class UnusedVueFinder {
     return '/' + val.replace(/^\//, '').replace(/^\.\//, '');
   }
 
-  // 入口识别：常见 main.*、App.vue、router/index.*，如找不到则兜底
+  // 配置中声明的显式入口（支持 glob），返回存在的相对路径
+  async resolveExplicitEntries() {
+    const result = [];
+    const globs = [];
+    for (const entry of this.options.entries || []) {
+      const rel = String(entry).replace(/^\.?\//, '');
+      if (/[*?[{]/.test(rel)) {
+        globs.push(rel);
+      } else if (fs.existsSync(path.join(this.rootDir, rel))) {
+        if (!result.includes(rel)) result.push(rel);
+      } else if (this.options.verbose) {
+        this.log(`⚠️ 入口不存在: ${rel}`);
+      }
+    }
+    if (globs.length > 0) {
+      const allFiles = await this.getAllFiles(this.rootDir);
+      for (const f of allFiles) {
+        const rel = path.relative(this.rootDir, f);
+        if (this.matchesAnyPattern(rel, globs) && !result.includes(rel)) result.push(rel);
+      }
+    }
+    return result;
+  }
+
+  // 从 HTML 与构建配置推导入口：<script src>、Vite build.rollupOptions.input、Vue CLI pages、webpack entry
+  // 返回 [{ rel, source }]，工作区模式下对每个包目录同样处理
+  async detectConfiguredEntries() {
+    const found = [];
+    const add = (abs, source) => {
+      if (!abs) return;
+      const rel = path.relative(this.rootDir, abs);
+      if (rel.startsWith('..') || found.some((e) => e.rel === rel)) return;
+      found.push({ rel, source });
+    };
+    const readText = (abs) => {
+      try {
+        return fs.readFileSync(abs, 'utf8');
+      } catch (_) {
+        return null;
+      }
+    };
+    const prefixes = ['', ...this.workspacePackages.map((wp) => wp.dir)];
+    for (const prefix of prefixes) {
+      const baseDir = path.join(this.rootDir, prefix);
+      const htmlFiles = [{ abs: path.join(baseDir, 'index.html'), source: 'HTML 入口' }];
+      // 配置中的路径相对配置文件所在目录；也可能是别名
+      const resolveConfigPath = (spec, configAbs) => {
+        if (this.startsWithAnyAlias(spec)) return this.resolveImportSpecifierToPath(spec, configAbs);
+        return this.resolveFileWithExtensions(path.resolve(path.dirname(configAbs), spec));
+      };
+
+      for (const name of ['vite.config.ts', 'vite.config.js', 'vite.config.mjs', 'vite.config.cjs', 'vite.config.mts']) {
+        const abs = path.join(baseDir, name);
+        const content = readText(abs);
+        if (!content || !/rollupOptions/.test(content)) continue;
+        const block = extractConfigValue(content, 'input');
+        for (const spec of extractPathLiterals(block)) {
+          const target = resolveConfigPath(spec, abs);
+          if (!target) continue;
+          const source = `${path.join(prefix, name)} rollupOptions.input`;
+          if (target.endsWith('.html')) htmlFiles.push({ abs: target, source });
+          else add(target, source);
+        }
+      }
+
+      const vueConfig = path.join(baseDir, 'vue.config.js');
+      const vueConfigContent = readText(vueConfig);
+      if (vueConfigContent) {
+        const pages = extractConfigValue(vueConfigContent, 'pages');
+        for (const spec of extractPathLiterals(pages)) {
+          if (/\.html?$/i.test(spec)) continue;
+          add(resolveConfigPath(spec, vueConfig), `${path.join(prefix, 'vue.config.js')} pages`);
+        }
+      }
+
+      for (const name of ['webpack.config.js', 'webpack.config.ts', 'webpack.config.cjs', 'webpack.config.mjs', 'vue.config.js']) {
+        const abs = path.join(baseDir, name);
+        const content = readText(abs);
+        if (!content) continue;
+        for (const spec of extractPathLiterals(extractConfigValue(content, 'entry'))) {
+          add(resolveConfigPath(spec, abs), `${path.join(prefix, name)} entry`);
+        }
+      }
+
+      for (const { abs: htmlAbs, source } of htmlFiles) {
+        const content = readText(htmlAbs);
+        if (!content) continue;
+        const htmlRel = path.relative(this.rootDir, htmlAbs);
+        add(htmlAbs, source);
+        // <script type="module" src="/src/main.ts">：/ 开头相对 HTML 所在的包目录（Vite root）
+        const scriptRe = /<script\b[^>]*\bsrc\s*=\s*['"]([^'"]+)['"][^>]*>/gi;
+        let m;
+        while ((m = scriptRe.exec(content)) !== null) {
+          const src = m[1].replace(/[?#].*$/, '');
+          if (/^(https?:)?\/\//i.test(src)) continue;
+          const target = src.startsWith('/')
+            ? this.resolveFileWithExtensions(path.join(baseDir, src.slice(1)))
+            : this.resolveImportSpecifierToPath(src.startsWith('.') ? src : './' + src, htmlAbs);
+          add(target, `${htmlRel} <script>`);
+        }
+      }
+    }
+    return found;
+  }
+
+  // 入口识别：显式入口、HTML/构建配置推导的入口、常见 main.*、App.vue、router/index.*，如找不到则兜底
+  // entrySources 记录每个入口的来源（用于报告）
   async detectEntryFiles() {
     const candidates = [
       'main.ts', 'main.js', 'main.mjs', 'main.cjs',
@@ -934,10 +2181,27 @@ class UnusedVueFinder {
       'src/router/index.ts', 'src/router/index.js',
       'router/index.ts', 'router/index.js',
     ];
-    const found = [];
-    for (const rel of candidates) {
-      const abs = path.join(this.rootDir, rel);
-      if (fs.existsSync(abs)) found.push(rel);
+    const found = await this.resolveExplicitEntries();
+    const hasExplicit = found.length > 0;
+    const explicitSource = (rel) =>
+      this.nuxtApps.some((app) => this.matchesAnyPattern(rel, app.entries)) ? 'Nuxt 约定' : 'entries 配置 / --entry';
+    this.entrySources = new Map(found.map((rel) => [rel, explicitSource(rel)]));
+    for (const { rel, source } of [...await this.detectConfiguredEntries(), ...this.detectInjectedStyleEntries()]) {
+      if (found.includes(rel)) continue;
+      found.push(rel);
+      this.entrySources.set(rel, source);
+    }
+    // 工作区模式下每个包都按同样的候选列表探测入口
+    const prefixes = ['', ...this.workspacePackages.map((wp) => wp.dir + '/')];
+    for (const prefix of prefixes) {
+      for (const candidate of candidates) {
+        const rel = prefix + candidate;
+        const abs = path.join(this.rootDir, rel);
+        if (fs.existsSync(abs) && !found.includes(rel)) {
+          found.push(rel);
+          this.entrySources.set(rel, '约定路径');
+        }
+      }
     }
     if (found.length === 0) {
       const allFiles = await this.getAllFiles(this.rootDir);
@@ -947,119 +2211,3001 @@ class UnusedVueFinder {
           const content = await readFile(f, 'utf8');
           if (/createApp\s*\(|new\s+Vue\s*\(/.test(content)) {
             found.push(path.relative(this.rootDir, f));
+            this.entrySources.set(path.relative(this.rootDir, f), '包含 createApp/new Vue');
           }
         } catch (_) {}
       }
     }
-    if (found.length === 0) {
+    if (found.length === 0 && !hasExplicit) {
       for (const key of this.graph.keys()) {
         found.push(key);
+        this.entrySources.set(key, '兜底');
         if (found.length >= 3) break;
       }
     }
     return found;
   }
 
-  // 主流程：收集 -> 构图 -> 计算可达 -> 合并 .d.ts 全局组件 -> 输出结果
-  async findUnusedVueFiles() {
-    console.log("🚀 开始查找未使用的.vue文件...\n");
+  // 提取文件声明的导出：本地导出名 -> 行号、export ... from 转发、export * 来源
+  extractExportInfo(content, filePath) {
+    const info = { declared: new Map(), reexports: [], stars: [], commonjs: false };
+    const lineOf = (idx) => content.slice(0, idx).split('\n').length;
+    const resolveRel = (spec) => {
+      const abs = this.resolveImportSpecifierToPath(spec, filePath);
+      return abs ? path.relative(this.rootDir, abs) : null;
+    };
+    let m;
 
-    await this.loadAliasesFromConfigs();
-    this.initImportPatterns();
-    await this.collectVueFiles();
-    await this.collectAssetFiles();
-    await this.collectCodeFiles();
-    await this.collectEmptyDirs();
-    await this.scanReferences();
+    if (/\bmodule\.exports\b|\bexports\.[\w$]+\s*=/.test(content)) info.commonjs = true;
 
-    const reachableVue = await this.getReachableVueFiles();
-    // 合并 .d.ts 注册的全局组件
-    const finalUsedVue = new Set([...reachableVue, ...this.usedVueFromDts]);
-    const reachableFiles = await this.getReachableFiles();
-    await this.computeReferencedAssetsFromReachable(reachableFiles);
+    const declRe = /\bexport\s+(?:declare\s+)?(?:default\s+)?(?:async\s+)?(?:abstract\s+)?(?:function\s*\*?|class|const\s+enum|enum|interface|type)\s+([\w$]+)/g;
+    while ((m = declRe.exec(content)) !== null) {
+      const isDefault = /\bexport\s+(?:declare\s+)?default\b/.test(m[0]);
+      info.declared.set(isDefault ? 'default' : m[1], lineOf(m.index));
+    }
+    // export const a = 1, b = 2 / export const { a, b: c } = obj：逐个声明子取全部绑定名
+    const varRe = /\bexport\s+(?:declare\s+)?(?:const|let|var)\s+(?!enum\b)/g;
+    while ((m = varRe.exec(content)) !== null) {
+      for (const decl of this.parseDeclarators(content, m.index + m[0].length)) {
+        info.declared.set(decl.name, lineOf(decl.index));
+      }
+    }
+    const defaultRe = /\bexport\s+default\b/g;
+    while ((m = defaultRe.exec(content)) !== null) {
+      if (!info.declared.has('default')) info.declared.set('default', lineOf(m.index));
+    }
 
-    const unusedFiles = [];
-    for (const vueFile of this.allVueFiles) {
-      if (!finalUsedVue.has(vueFile)) {
-        unusedFiles.push(vueFile);
+    // export { a, b as c } from './x' / export * from './x' / export * as ns from './x'
+    const fromRe = /\bexport\s+(?:type\s+)?(\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*['"]([^'"\n]+)['"]/g;
+    const fromRanges = [];
+    while ((m = fromRe.exec(content)) !== null) {
+      fromRanges.push(m.index);
+      const target = resolveRel(m[2]);
+      const clause = m[1].trim();
+      const line = lineOf(m.index);
+      if (clause.startsWith('*')) {
+        const ns = /\bas\s+([\w$]+)/.exec(clause);
+        if (ns) {
+          info.declared.set(ns[1], line);
+          if (target) info.reexports.push({ exported: ns[1], imported: '*', from: target });
+        } else if (target) {
+          info.stars.push(target);
+        }
+        continue;
+      }
+      for (const spec of this.parseBindingList(clause)) {
+        info.declared.set(spec.local, line);
+        if (target) info.reexports.push({ exported: spec.local, imported: spec.imported, from: target });
       }
     }
 
-    const unusedAssets = [];
-    for (const asset of this.allAssetFiles) {
-      if (!this.referencedAssets.has(asset)) {
-        unusedAssets.push(asset);
+    // export { a, b as c }（无 from）
+    const listRe = /\bexport\s+(?:type\s+)?(\{[^}]*\})/g;
+    while ((m = listRe.exec(content)) !== null) {
+      if (fromRanges.includes(m.index)) continue;
+      for (const spec of this.parseBindingList(m[1])) {
+        info.declared.set(spec.local, lineOf(m.index));
       }
     }
+    return info;
+  }
 
-    const unusedCodeFiles = [];
-    for (const codeFile of this.allCodeFiles) {
-      if (!reachableFiles.has(codeFile)) {
-        // 若代码文件与已使用的 .vue 组件成对（同目录同名或 index.{js,ts} + index.vue），视为包装文件，不报未使用
-        const codeDir = path.dirname(codeFile);
-        const base = path.basename(codeFile, path.extname(codeFile));
-        const sameBaseVue = path.join(codeDir, base + '.vue');
-        const indexVue = path.join(codeDir, 'index.vue');
-        const pairsWithUsedVue = (this.allVueFiles.has(sameBaseVue) && finalUsedVue.has(sameBaseVue)) ||
-          (base === 'index' && this.allVueFiles.has(indexVue) && finalUsedVue.has(indexVue));
-        if (pairsWithUsedVue) {
+  // 从 start 起读取 const/let/var 的声明列表（到顶层 ; 或语句结束的换行为止），返回绑定名及其位置
+  parseDeclarators(content, start) {
+    const declarators = [];
+    const continues = /[ \t\r\n]*[,.?:=+\-*/&|]/y;
+    let depth = 0;
+    let quote = null;
+    // 位于类型标注中（: 之后、= 之前）时，<> 也视为括号，避免泛型参数中的逗号被当作分隔
+    let inType = false;
+    let part = '';
+    let partStart = start;
+    for (let i = start; i < content.length; i++) {
+      const ch = content[i];
+      if (quote) {
+        part += ch;
+        if (ch === '\\') part += content[++i] || '';
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (depth === 0) {
+        if (ch === ',') {
+          declarators.push({ text: part, index: partStart });
+          inType = false;
+          part = '';
+          partStart = i + 1;
           continue;
         }
-        unusedCodeFiles.push(codeFile);
+        if (ch === ';' || ch === ')' || ch === ']' || ch === '}') break;
+        if (ch === '\n' && !/[,=+\-*/&|?:(]\s*$/.test(part)) {
+          continues.lastIndex = i + 1;
+          if (!continues.test(content)) break;
+        }
       }
+      if (ch === '"' || ch === "'" || ch === '`') quote = ch;
+      else if ('([{'.includes(ch) || (inType && ch === '<')) depth++;
+      else if (')]}'.includes(ch) || (inType && ch === '>' && content[i - 1] !== '=')) depth--;
+      else if (depth === 0 && ch === ':') inType = true;
+      else if (depth === 0 && ch === '=') inType = false;
+      part += ch;
     }
+    declarators.push({ text: part, index: partStart });
 
-    console.log("\n📋 结果报告:");
-    console.log("══════════════════════════════════════");
-    console.log(`📊 总Vue文件数: ${this.allVueFiles.size}`);
-    console.log(`🔗 可达(被实际引用)文件数: ${finalUsedVue.size}`);
-    console.log(`🚫 未使用文件数: ${unusedFiles.length}`);
-    console.log(`\n📦 总静态资源数: ${this.allAssetFiles.size}`);
-    console.log(`🖼️ 被引用资源数: ${this.referencedAssets.size}`);
-    console.log(`🗑️ 未使用资源数: ${unusedAssets.length}`);
-    console.log(`\n🧩 总代码文件数(不含 .vue): ${this.allCodeFiles.size}`);
-    console.log(`🧭 可达代码文件数: ${Array.from(reachableFiles).filter(f => this.allCodeFiles.has(f)).length}`);
-    console.log(`🗑️ 未使用代码文件数: ${unusedCodeFiles.length}`);
-    console.log("══════════════════════════════════════\n");
+    const result = [];
+    for (const { text, index } of declarators) {
+      const offset = index + (text.length - text.trimStart().length);
+      const binding = text.trim();
+      if (binding.startsWith('{') || binding.startsWith('[')) {
+        // 去掉初始值与 TS 类型标注，只留解构模式本身
+        const pattern = this.splitTopLevel(this.splitTopLevel(binding, '=')[0], ':')[0];
+        for (const name of this.extractPatternNames(pattern)) result.push({ name, index: offset });
+      } else {
+        const id = /^[\w$]+/.exec(binding);
+        if (id) result.push({ name: id[0], index: offset });
+      }
+    }
+    return result;
+  }
 
-    if (unusedFiles.length > 0) {
-      console.log("📝 未使用的.vue文件列表:");
+  // 解构模式 { a, b: c, d = 1, ...rest } / [x, [y]] 中声明的本地名
+  extractPatternNames(pattern) {
+    const text = pattern.trim();
+    const isObject = text.startsWith('{');
+    const names = [];
+    for (let el of this.splitTopLevel(text.slice(1, text.lastIndexOf(isObject ? '}' : ']')), ',')) {
+      el = el.trim().replace(/^\.\.\./, '');
+      if (!el) continue;
+      if (isObject) {
+        const parts = this.splitTopLevel(el, ':');
+        if (parts.length > 1) el = parts.slice(1).join(':');
+      }
+      el = this.splitTopLevel(el, '=')[0].trim();
+      if (el.startsWith('{') || el.startsWith('[')) names.push(...this.extractPatternNames(el));
+      else if (/^[\w$]+$/.test(el)) names.push(el);
+    }
+    return names;
+  }
+
+  // 按顶层（不在括号/字符串内）的分隔符切分；'=' 不切分 ==、=>、<= 等运算符
+  splitTopLevel(text, sep) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let last = 0;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'" || ch === '`') quote = ch;
+      else if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth--;
+      else if (depth === 0 && ch === sep) {
+        if (sep === '=' && (/[=!<>]/.test(text[i - 1] || '') || /[=>]/.test(text[i + 1] || ''))) continue;
+        parts.push(text.slice(last, i));
+        last = i + 1;
+      }
+    }
+    parts.push(text.slice(last));
+    return parts;
+  }
+
+  // 解析 { a, b as c, type D } 绑定列表：imported 为来源侧名字，local 为本侧名字
+  parseBindingList(clause) {
+    const body = clause.replace(/^\{|\}$/g, '');
+    const result = [];
+    for (const part of body.split(',')) {
+      const item = part.trim().replace(/^type\s+/, '');
+      if (!item) continue;
+      const as = /^([\w$]+|['"][^'"]+['"])\s+as\s+([\w$]+|['"][^'"]+['"])$/.exec(item);
+      const unquote = (s) => s.replace(/^['"]|['"]$/g, '');
+      if (as) {
+        result.push({ imported: unquote(as[1]), local: unquote(as[2]) });
+      } else if (/^[\w$]+$/.test(item)) {
+        result.push({ imported: item, local: item });
+      }
+    }
+    return result;
+  }
+
+  // 提取文件通过静态 import 精确引入的绑定：target -> Set(name)，'*' 表示整体引入
+  extractImportedBindings(content, filePath) {
+    const usage = new Map();
+    const add = (spec, names) => {
+      const abs = this.resolveImportSpecifierToPath(spec, filePath);
+      if (!abs) return;
+      const rel = path.relative(this.rootDir, abs);
+      if (!usage.has(rel)) usage.set(rel, new Set());
+      for (const n of names) usage.get(rel).add(n);
+    };
+    let m;
+
+    // import def, { a as b } from 'x' / import * as ns from 'x' / import type { T } from 'x'
+    const importRe = /\bimport\s+(?:type\s+)?([\w$*\s{},]+?)\s*from\s*['"]([^'"\n]+)['"]/g;
+    while ((m = importRe.exec(content)) !== null) {
+      const clause = m[1].trim();
+      const names = [];
+      const braces = /\{[^}]*\}/.exec(clause);
+      if (braces) {
+        for (const spec of this.parseBindingList(braces[0])) names.push(spec.imported);
+      }
+      const rest = clause.replace(/\{[^}]*\}/, '').split(',').map((s) => s.trim()).filter(Boolean);
+      for (const r of rest) {
+        if (r.startsWith('*')) names.push('*');
+        else if (/^[\w$]+$/.test(r)) names.push('default');
+      }
+      add(m[2], names);
+    }
+
+    // 仅副作用导入：不消费任何绑定
+    const sideEffectRe = /\bimport\s*['"]([^'"\n]+)['"]/g;
+    while ((m = sideEffectRe.exec(content)) !== null) add(m[1], []);
+
+    // export ... from 的来源按转发处理（见 propagateExportUsage），此处仅标记为精确引用
+    const fromRe = /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*['"]([^'"\n]+)['"]/g;
+    while ((m = fromRe.exec(content)) !== null) add(m[1], []);
+
+    return usage;
+  }
+
+  // 提取以动态 import() / require() 引入的目标：这类引用拿到的是整个模块对象
+  extractWholeModuleTargets(content, filePath) {
+    const targets = new Set();
+    for (const request of this.extractImportRequests(content, filePath)) {
+      if (!['dynamic', 'require', 'import-equals'].includes(request.kind) || request.typeOnly) continue;
+      const abs = this.resolveImportSpecifierToPath(request.spec, filePath);
+      if (abs) targets.add(path.relative(this.rootDir, abs));
+    }
+    return targets;
+  }
+
+  // 分析可达代码文件中无人消费的导出；动态 import/require/glob 等非静态引用视为整体使用
+  async findUnusedExports(reachableFiles) {
+    const entries = new Set(await this.detectEntryFiles());
+    const exportInfo = new Map();
+    const usage = new Map();
+    const addUsage = (rel, name) => {
+      if (!usage.has(rel)) usage.set(rel, new Set());
+      const set = usage.get(rel);
+      if (set.has(name)) return false;
+      set.add(name);
+      return true;
+    };
+
+    for (const rel of reachableFiles) {
+      const abs = path.join(this.rootDir, rel);
+      let content;
+      try {
+        content = stripComments(await readFile(abs, 'utf8'), abs, this.allStyleFiles.has(rel));
+      } catch (_) {
+        continue;
+      }
+      if (this.allCodeFiles.has(rel)) {
+        exportInfo.set(rel, this.extractExportInfo(content, abs));
+      }
+      const bindings = this.extractImportedBindings(content, abs);
+      for (const [target, names] of bindings) {
+        for (const n of names) addUsage(target, n);
+      }
+      // 图中存在但非静态 import 引入的边（动态 import、require、glob、Worker 等）；
+      // 同一目标即使另有静态 import，只要存在动态引用也视为整体使用
+      const wholeModule = this.extractWholeModuleTargets(content, abs);
+      for (const target of this.graph.get(rel) || []) {
+        if (!bindings.has(target) || wholeModule.has(target)) addUsage(target, '*');
+      }
+    }
+
+    this.propagateExportUsage(exportInfo, usage, addUsage);
+
+    const unused = [];
+    for (const [rel, info] of exportInfo) {
+      if (entries.has(rel) || info.commonjs || this.isSafelisted(rel)) continue;
+      const used = usage.get(rel) || new Set();
+      if (used.has('*')) continue;
+      for (const [name, line] of info.declared) {
+        if (!used.has(name)) unused.push({ path: rel, name, line });
+      }
+    }
+    unused.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line);
+    return unused;
+  }
+
+  // 将 barrel 文件上的使用沿 export ... from / export * 转发到源文件，直至不再变化
+  propagateExportUsage(exportInfo, usage, addUsage) {
+    const queue = Array.from(usage.keys());
+    while (queue.length) {
+      const rel = queue.shift();
+      const info = exportInfo.get(rel);
+      const used = usage.get(rel);
+      if (!info || !used) continue;
+      const all = used.has('*');
+      for (const r of info.reexports) {
+        if (all || used.has(r.exported)) {
+          if (addUsage(r.from, r.imported)) queue.push(r.from);
+        }
+      }
+      for (const star of info.stars) {
+        for (const name of all ? ['*'] : used) {
+          if (name === 'default' || info.declared.has(name)) continue;
+          if (addUsage(star, name)) queue.push(star);
+        }
+      }
+    }
+  }
+
+  // 从模块说明符中提取 npm 包名：支持 scope 与子路径；相对路径/别名/内置/虚拟模块返回 null
+  // ~pkg 仅在样式导入中是 webpack 的包前缀约定；脚本中的 ~xxx（如 ~icons/*、Nuxt 的 ~/）视为虚拟模块或别名
+  getPackageName(specifier, { styleImport = false } = {}) {
+    let spec = specifier.replace(/[?#].*$/, '');
+    if (styleImport) spec = spec.replace(/^~(?!\/)/, '');
+    if (!spec || /^[./#~]/.test(spec) || spec.includes(':') || this.startsWithAnyAlias(spec)) return null;
+    const parts = spec.split('/');
+    const name = spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    if (!/^(@[\w.-]+\/)?[\w.-]+$/.test(name)) return null;
+    if (NODE_BUILTINS.has(name)) return null;
+    return name;
+  }
+
+  // 记录文件中未解析到项目内文件的裸模块导入（npm 包）
+  recordExternalImport(importerRel, specifier) {
+    const name = this.getPackageName(specifier);
+    if (!name) return;
+    if (!this.externalImports.has(importerRel)) this.externalImports.set(importerRel, new Set());
+    this.externalImports.get(importerRel).add(name);
+  }
+
+  // 对比 package.json：从可达代码、配置文件与样式导入中统计用到的包，找出未使用与未声明的依赖
+  // 工作区模式下逐包对比各自的 package.json；根 package.json 声明的依赖视为对所有包可见（hoist）
+  async analyzeDependencies(reachableFiles) {
+    if (this.workspacePackages.length === 0) {
+      return this.analyzePackageDependencies(reachableFiles, '');
+    }
+    const root = await this.analyzePackageDependencies(reachableFiles, '');
+    const reports = [];
+    for (const wp of this.workspacePackages) {
+      const report = await this.analyzePackageDependencies(reachableFiles, wp.dir);
+      if (report) reports.push(report);
+    }
+    const usedByPackages = new Set();
+    const undeclaredDependencies = [];
+    for (const report of reports) {
+      for (const dep of report.undeclaredDependencies) {
+        if (root && root.declared.has(dep.name)) {
+          usedByPackages.add(dep.name);
+        } else {
+          undeclaredDependencies.push(dep);
+        }
+      }
+    }
+    const unusedDependencies = [];
+    if (root) {
+      unusedDependencies.push(...root.unusedDependencies.filter((dep) => !usedByPackages.has(dep.name)));
+      undeclaredDependencies.unshift(...root.undeclaredDependencies);
+    }
+    for (const report of reports) unusedDependencies.push(...report.unusedDependencies);
+    return { unusedDependencies, undeclaredDependencies };
+  }
+
+  // 单个 package.json 的依赖对比；pkgDir 为包目录（相对项目根，'' 表示根）
+  async analyzePackageDependencies(reachableFiles, pkgDir) {
+    const manifest = pkgDir ? `${pkgDir}/package.json` : 'package.json';
+    const pkgPath = path.join(this.rootDir, manifest);
+    let pkg;
+    try {
+      pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    } catch (_) {
+      return null;
+    }
+
+    const declared = new Map();
+    for (const field of ['peerDependencies', 'optionalDependencies', 'devDependencies', 'dependencies']) {
+      for (const name in pkg[field] || {}) declared.set(name, field);
+    }
+
+    // 可达文件 + 工具配置文件（vite.config.* 等不在入口依赖链上，但其导入同样算作使用）+ 测试与 Stories
+    const configRe = /(^|\/)([^/]*\.config\.(js|ts|mjs|cjs)|\.[\w-]*rc\.(js|cjs))$/;
+    const sources = new Set([...reachableFiles, ...this.testFiles, ...this.storyFiles]);
+    for (const rel of this.graph.keys()) {
+      if (configRe.test(rel)) sources.add(rel);
+    }
+    if (this.workspacePackages.length > 0) {
+      for (const rel of sources) {
+        if (this.getWorkspaceDir(rel) !== pkgDir) sources.delete(rel);
+      }
+    }
+
+    const used = new Map();
+    const markUsed = (name, rel) => {
+      if (!used.has(name)) used.set(name, new Set());
+      if (rel) used.get(name).add(rel);
+    };
+    for (const rel of sources) {
+      for (const name of this.externalImports.get(rel) || []) markUsed(name, rel);
+    }
+
+    // 样式中的 @use/@forward/@import：~ 前缀视为包；无前缀时仅在已声明该包时计入（避免与本地 partial 混淆）
+    const styleExts = new Set([...this.options.styleExtensions, '.vue']);
+    for (const rel of sources) {
+      if (!styleExts.has(path.extname(rel).toLowerCase())) continue;
+      try {
+        const content = await readFile(path.join(this.rootDir, rel), 'utf8');
+        const re = /@(?:use|forward|import)\s+['"]([^'"\n]+)['"]/g;
+        let m;
+        while ((m = re.exec(content)) !== null) {
+          const name = this.getPackageName(m[1], { styleImport: true });
+          if (name && (m[1].startsWith('~') || declared.has(name))) markUsed(name, rel);
+        }
+      } catch (_) {}
+    }
+
+    // 隐式使用：package.json scripts 中调用的命令、按文件类型推断的编译器、@types/* 配对
+    const scriptTokens = new Set(
+      Object.values(pkg.scripts || {}).join(' ').split(/[\s;&|()"'=]+/).filter(Boolean)
+    );
+    const fileExts = new Set(Array.from(this.graph.keys()).map((rel) => path.extname(rel).toLowerCase()));
+    const implicit = {
+      typescript: fileExts.has('.ts') || fileExts.has('.tsx') || fs.existsSync(path.join(this.rootDir, pkgDir, 'tsconfig.json')),
+      sass: fileExts.has('.scss') || fileExts.has('.sass'),
+      'sass-embedded': fileExts.has('.scss') || fileExts.has('.sass'),
+      'node-sass': fileExts.has('.scss') || fileExts.has('.sass'),
+      less: fileExts.has('.less'),
+      stylus: fileExts.has('.styl'),
+      '@vue/compiler-sfc': this.allVueFiles.size > 0,
+      'vue-template-compiler': this.allVueFiles.size > 0,
+      nuxt: this.nuxtApps.some((app) => app.dir === pkgDir),
+    };
+    for (const name of declared.keys()) {
+      if (used.has(name)) continue;
+      const bins = this.getPackageBinNames(name, pkgDir);
+      if (implicit[name] || bins.some((b) => scriptTokens.has(b))) markUsed(name, null);
+    }
+    for (const name of declared.keys()) {
+      if (!name.startsWith('@types/') || used.has(name)) continue;
+      const bare = name.slice('@types/'.length);
+      const paired = bare.includes('__') ? '@' + bare.replace('__', '/') : bare;
+      if (used.has(paired) || (paired === 'node' && used.has('typescript'))) markUsed(name, null);
+    }
+
+    const ignored = this.options.ignoreDependencies || [];
+    const isIgnored = (name) => this.matchesAnyPattern(name, ignored);
+
+    const unusedDependencies = [];
+    for (const [name, field] of declared) {
+      if (field !== 'dependencies' && field !== 'devDependencies') continue;
+      if (used.has(name) || isIgnored(name)) continue;
+      unusedDependencies.push({ name, field, manifest });
+    }
+
+    const undeclaredDependencies = [];
+    for (const [name, importers] of used) {
+      if (declared.has(name) || name === pkg.name || isIgnored(name) || importers.size === 0) continue;
+      undeclaredDependencies.push({ name, manifest, importers: Array.from(importers).sort() });
+    }
+
+    unusedDependencies.sort((a, b) => a.name.localeCompare(b.name));
+    undeclaredDependencies.sort((a, b) => a.name.localeCompare(b.name));
+    return { unusedDependencies, undeclaredDependencies, declared };
+  }
+
+  // 读取已安装依赖的 bin 命令名（未安装时以包名兜底）；先查包内 node_modules，再查根目录
+  getPackageBinNames(name, pkgDir = '') {
+    const names = [name, name.replace(/^@[^/]+\//, '')];
+    for (const dir of pkgDir ? [pkgDir, ''] : ['']) {
+      try {
+        const depPkg = JSON.parse(fs.readFileSync(path.join(this.rootDir, dir, 'node_modules', name, 'package.json'), 'utf8'));
+        if (typeof depPkg.bin === 'string') names.push(depPkg.name.replace(/^@[^/]+\//, ''));
+        else if (depPkg.bin) names.push(...Object.keys(depPkg.bin));
+        break;
+      } catch (_) {}
+    }
+    return names;
+  }
+
+  // 死代码簇：未使用文件在依赖图（无向）中的连通分量；统计文件数、总字节、仍指向存活代码的边与来自外部的引用
+  findDeadClusters(deadFiles, liveFiles) {
+    const dead = new Set(deadFiles);
+    const adjacency = new Map();
+    const link = (a, b) => {
+      if (!adjacency.has(a)) adjacency.set(a, new Set());
+      adjacency.get(a).add(b);
+    };
+    const inbound = new Map();
+    for (const [source, targets] of this.graph) {
+      for (const target of targets) {
+        if (dead.has(source) && dead.has(target) && source !== target) {
+          link(source, target);
+          link(target, source);
+        } else if (dead.has(target) && !dead.has(source)) {
+          if (!inbound.has(target)) inbound.set(target, []);
+          inbound.get(target).push(source);
+        }
+      }
+    }
+
+    const seen = new Set();
+    const clusters = [];
+    for (const start of deadFiles) {
+      if (seen.has(start) || !adjacency.has(start)) continue;
+      const members = [];
+      const queue = [start];
+      seen.add(start);
+      while (queue.length) {
+        const cur = queue.shift();
+        members.push(cur);
+        for (const n of adjacency.get(cur) || []) {
+          if (!seen.has(n)) {
+            seen.add(n);
+            queue.push(n);
+          }
+        }
+      }
+      members.sort();
+
+      let size = 0;
+      const edgesToLive = [];
+      const inboundFromLive = [];
+      const inboundFromOther = [];
+      for (const rel of members) {
+        size += this.getFileSize(rel);
+        for (const target of this.graph.get(rel) || []) {
+          if (!dead.has(target) && liveFiles.has(target)) edgesToLive.push({ from: rel, to: target });
+        }
+        for (const source of inbound.get(rel) || []) {
+          const edge = { from: source, to: rel };
+          if (liveFiles.has(source)) inboundFromLive.push(edge);
+          else inboundFromOther.push(edge);
+        }
+      }
+      clusters.push({
+        root: commonDirOf(members),
+        files: members,
+        size,
+        edgesToLive,
+        inboundFromLive,
+        inboundFromOther,
+        // 外部引用方（存活代码，或测试、配置、成对包装等既不存活也不在报告中的文件）删后会断引用
+        safeToDelete: inboundFromLive.length === 0 && inboundFromOther.length === 0,
+      });
+    }
+    clusters.sort((a, b) => b.size - a.size || b.files.length - a.files.length);
+    clusters.forEach((c, i) => { c.id = i + 1; });
+    return clusters;
+  }
+
+  // 文件大小：优先取目录遍历时记录的值
+  getFileSize(rel) {
+    if (this.fileSizes.has(rel)) return this.fileSizes.get(rel);
+    let size = 0;
+    try {
+      size = fs.statSync(path.join(this.rootDir, rel)).size;
+    } catch (_) {}
+    this.fileSizes.set(rel, size);
+    return size;
+  }
+
+  // 按 minSize 过滤、按 sort（size 降序 / path 字母序）排序文件类发现项
+  arrangeFindingFiles(files) {
+    const minSize = this.options.minSize || 0;
+    const list = files.filter((rel) => this.getFileSize(rel) >= minSize);
+    if (this.options.sort === "size") {
+      return list.sort((a, b) => this.getFileSize(b) - this.getFileSize(a) || a.localeCompare(b));
+    }
+    return list.sort((a, b) => a.localeCompare(b));
+  }
+
+  // 内容完全相同的静态资源分组：先按大小预筛再算 sha256；保留引用最多的一份（同数时取路径最短）
+  findDuplicateAssets() {
+    const bySize = new Map();
+    for (const rel of this.allAssetFiles) {
+      if (this.isSafelisted(rel)) continue;
+      const size = this.getFileSize(rel);
+      if (size === 0) continue;
+      if (!bySize.has(size)) bySize.set(size, []);
+      bySize.get(size).push(rel);
+    }
+    const groups = [];
+    for (const [size, files] of bySize) {
+      if (files.length < 2) continue;
+      const byHash = new Map();
+      for (const rel of files) {
+        try {
+          const hash = hashFile(path.join(this.rootDir, rel));
+          if (!byHash.has(hash)) byHash.set(hash, []);
+          byHash.get(hash).push(rel);
+        } catch (_) {}
+      }
+      for (const [hash, same] of byHash) {
+        if (same.length < 2) continue;
+        const copies = same
+          .map((rel) => ({ path: rel, references: this.assetReferrers.has(rel) ? this.assetReferrers.get(rel).size : 0 }))
+          .sort((a, b) => b.references - a.references || a.path.length - b.path.length || a.path.localeCompare(b.path));
+        groups.push({ hash, size, keep: copies[0].path, copies, wasted: size * (copies.length - 1) });
+      }
+    }
+    return groups.sort((a, b) => b.wasted - a.wasted || a.keep.localeCompare(b.keep));
+  }
+
+  // 将引用重复资源的写法改为指向保留的那份；返回 [{ file, from, to }]，dryRun 时只计算不写入
+  async rewriteDuplicateAssetReferences(groups, { dryRun = false } = {}) {
+    const keepOf = new Map();
+    for (const group of groups) {
+      for (const copy of group.copies) {
+        if (copy.path !== group.keep) keepOf.set(copy.path, group.keep);
+      }
+    }
+    const referrers = new Set();
+    for (const rel of keepOf.keys()) {
+      for (const from of this.assetReferrers.get(rel) || []) referrers.add(from);
+    }
+    const changes = [];
+    for (const rel of Array.from(referrers).sort()) {
+      const abs = path.join(this.rootDir, rel);
+      let content;
+      try {
+        content = await readFile(abs, 'utf8');
+      } catch (_) {
+        continue;
+      }
+      const specs = [];
+      this.extractAssetReferencesFromContent(content, abs, specs);
+      let next = content;
+      const done = new Set();
+      for (const { spec, abs: target } of specs) {
+        const dup = path.relative(this.rootDir, target);
+        const keep = keepOf.get(dup);
+        if (!keep || done.has(spec)) continue;
+        done.add(spec);
+        // 保持原写法（相对路径/别名），只替换从重复文件到保留文件的相对差异
+        const delta = path.posix.relative(path.dirname(dup).split(path.sep).join('/'), keep.split(path.sep).join('/'));
+        let replacement = path.posix.join(path.posix.dirname(spec), delta);
+        if (spec.startsWith('./') && !replacement.startsWith('.')) replacement = './' + replacement;
+        if (this.resolveImportSpecifierToPath(replacement, abs) !== path.join(this.rootDir, keep)) {
+          console.warn(`⚠️ 无法改写引用: ${rel} 中的 ${spec}`);
+          continue;
+        }
+        const escaped = spec.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // 函数替换：文件名中的 $& / $1 等不被当作替换模式
+        next = next.replace(new RegExp(`(?<=['"(\\s,=])${escaped}(?=['")?#\\s,])`, 'g'), () => replacement);
+        changes.push({ file: rel, from: spec, to: replacement });
+      }
+      if (!dryRun && next !== content) fs.writeFileSync(abs, next);
+    }
+    return changes;
+  }
+
+  // 读取运行时覆盖率，返回执行过的项目文件（相对路径）；没有任何条目对应到项目文件时返回 null
+  loadCoverage() {
+    const executed = new Set();
+    let matched = 0;
+    for (const file of collectCoverageFiles(this.options.coverage)) {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (e) {
+        if (this.options.verbose) console.warn(`⚠️ 无法解析覆盖率文件: ${file} -> ${e.message}`);
+        continue;
+      }
+      for (const entry of parseCoverageEntries(data)) {
+        const rel = this.coverageUrlToRel(entry.url);
+        if (!rel) continue;
+        matched += 1;
+        if (entry.executed) executed.add(rel);
+      }
+    }
+    if (this.options.verbose) {
+      this.log(`📈 覆盖率条目匹配到项目文件 ${matched} 次，其中执行过的文件 ${executed.size} 个`);
+    }
+    return matched > 0 ? executed : null;
+  }
+
+  // 覆盖率中的 URL/路径 -> 项目相对路径：file://、Vite 开发服务器 URL（/src/...?t=、/@fs/...、SFC ?vue&type=... 变体）、webpack://、绝对路径
+  coverageUrlToRel(url) {
+    let p = String(url).replace(/[?#].*$/, "");
+    try {
+      if (p.startsWith("file://")) {
+        p = fileURLToPath(p);
+      } else if (/^https?:\/\//.test(p)) {
+        p = decodeURIComponent(new URL(p).pathname);
+      } else if (p.startsWith("webpack://")) {
+        p = p.replace(/^webpack:\/\/[^/]*\//, "");
+      }
+    } catch (_) {
+      return null;
+    }
+    if (p.startsWith("/@fs/")) p = p.slice("/@fs".length);
+    const candidates = [];
+    if (path.isAbsolute(p)) candidates.push(path.relative(this.rootDir, p));
+    // 开发服务器 URL 以项目根为 /
+    candidates.push(p.replace(/^\.?\/+/, ""));
+    for (const candidate of candidates) {
+      const rel = path.normalize(candidate);
+      if (rel.startsWith("..")) continue;
+      if (this.allVueFiles.has(rel) || this.allCodeFiles.has(rel)) return rel;
+    }
+    return null;
+  }
+
+  // 可达（.vue 与代码文件）但覆盖率中从未执行的文件；只检查覆盖率涉及的顶层目录，避免误报构建配置等非运行时代码
+  findUnexecutedFiles(reachableFiles, usedVue) {
+    const executed = this.loadCoverage();
+    if (!executed) {
+      this.log(`⚠️ 覆盖率数据未对应到任何项目文件，已跳过“从未执行”检查: ${this.options.coverage}`);
+      return [];
+    }
+    const topDir = (rel) => (rel.includes(path.sep) ? rel.split(path.sep)[0] : ".");
+    const scopes = new Set(Array.from(executed, topDir));
+    const candidates = new Set([...usedVue, ...Array.from(reachableFiles).filter((f) => this.allCodeFiles.has(f))]);
+    return Array.from(candidates)
+      .filter((rel) => scopes.has(topDir(rel)) && !executed.has(rel) && !this.isSafelisted(rel))
+      .sort();
+  }
+
+  // 加载各 locale 的翻译消息：localeDirs 下的 JSON/YAML/JS/TS 文件；文件名即 locale（en.json），
+  // 或以子目录名为 locale（en/common.json，多个文件合并）；返回 Map(locale -> Map(键 -> { file, content }))
+  async loadLocaleMessages() {
+    const locales = new Map();
+    const exts = new Set(['.json', '.yaml', '.yml', '.js', '.ts', '.mjs', '.cjs']);
+    const prefixes = ['', ...this.workspacePackages.map((wp) => wp.dir)];
+    for (const prefix of prefixes) {
+      for (const dirRel of this.options.localeDirs) {
+        const dirAbs = path.join(this.rootDir, prefix, dirRel);
+        if (!fs.existsSync(dirAbs) || !fs.statSync(dirAbs).isDirectory()) continue;
+        for (const file of await this.getAllFiles(dirAbs)) {
+          const ext = path.extname(file).toLowerCase();
+          if (!exts.has(ext) || file.endsWith('.d.ts')) continue;
+          const inner = path.relative(dirAbs, file).split(path.sep);
+          const base = path.basename(file, ext);
+          // 顶层 index.* 通常只是汇总各 locale 的导出
+          if (inner.length === 1 && base === 'index') continue;
+          const locale = inner.length === 1 ? base : inner[0];
+          let content;
+          try {
+            content = fs.readFileSync(file, 'utf8');
+          } catch (_) {
+            continue;
+          }
+          let messages = null;
+          try {
+            if (ext === '.json') messages = JSON.parse(content);
+            else if (ext === '.yaml' || ext === '.yml') messages = parseSimpleYaml(content);
+            else messages = parseObjectModule(content);
+          } catch (e) {
+            if (this.options.verbose) console.warn(`⚠️ 无法解析翻译文件: ${file} -> ${e.message}`);
+          }
+          if (!messages || typeof messages !== 'object') continue;
+          if (!locales.has(locale)) locales.set(locale, new Map());
+          const keys = locales.get(locale);
+          const rel = path.relative(this.rootDir, file);
+          for (const [key, value] of Object.entries(flattenMessages(messages))) {
+            if (!keys.has(key)) keys.set(key, { file: rel, content, value });
+          }
+        }
+      }
+    }
+    return locales;
+  }
+
+  // 提取代码中使用的翻译键：$t/t/$tc/tc/$te/te/$tm/tm 调用、v-t 指令、<i18n-t keypath> / <i18n path>；
+  // 模板字符串与字符串拼接的键记为前缀模式（dynamic）
+  extractI18nUsages(content) {
+    const usages = [];
+    const lineAt = (index) => content.slice(0, index).split('\n').length;
+    const addLiteral = (quote, body, index, rest) => {
+      if (quote === '`' && body.includes('${')) {
+        const source = body.split(/\$\{[^}]*\}/).map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.+');
+        usages.push({ pattern: new RegExp(`^${source}`), key: body, line: lineAt(index) });
+      } else if (/^\s*\+/.test(rest)) {
+        usages.push({ pattern: new RegExp(`^${body.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`), key: `${body}*`, line: lineAt(index) });
+      } else if (body) {
+        usages.push({ key: body, line: lineAt(index) });
+      }
+    };
+    const literal = /(['"`])((?:\\.|(?!\1)[^\\])*)\1/;
+
+    const callRe = /(?<![\w$])\$?(?:tc|te|tm|t)\s*\(\s*(['"`])((?:\\.|(?!\1)[^\\\n])*)\1/g;
+    let m;
+    while ((m = callRe.exec(content))) {
+      addLiteral(m[1], m[2], m.index, content.slice(callRe.lastIndex));
+    }
+    const directiveRe = /\sv-t(?:\.[\w.]+)?\s*=\s*"([^"]*)"/g;
+    while ((m = directiveRe.exec(content))) {
+      const value = m[1].trim();
+      const lit = value.startsWith('{') ? /\bpath\s*:\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/.exec(value) : literal.exec(value);
+      if (lit) addLiteral(lit[1], lit[2], m.index, value.slice(lit.index + lit[0].length));
+    }
+    const componentRe = /<i18n(?:-t)?\b[^>]*?\s(:|v-bind:)?(?:keypath|path)\s*=\s*"([^"]*)"/g;
+    while ((m = componentRe.exec(content))) {
+      if (!m[1]) {
+        usages.push({ key: m[2], line: lineAt(m.index) });
+        continue;
+      }
+      const lit = literal.exec(m[2]);
+      if (lit) addLiteral(lit[1], lit[2], m.index, m[2].slice(lit.index + lit[0].length));
+    }
+    return usages;
+  }
+
+  // i18n 分析：各 locale 中未被使用的键、部分 locale 缺失的键、代码中使用但所有 locale 都未定义的键
+  async analyzeI18n(reachableFiles) {
+    const locales = await this.loadLocaleMessages();
+    if (locales.size === 0) return null;
+
+    const used = new Set();
+    const patterns = [];
+    const undefinedCandidates = [];
+    for (const rel of reachableFiles) {
+      if (!this.allVueFiles.has(rel) && !this.allCodeFiles.has(rel)) continue;
+      let content;
+      try {
+        content = await readFile(path.join(this.rootDir, rel), 'utf8');
+      } catch (_) {
+        continue;
+      }
+      for (const usage of this.extractI18nUsages(content)) {
+        if (usage.pattern) {
+          patterns.push(usage.pattern);
+        } else {
+          used.add(usage.key);
+          undefinedCandidates.push({ path: rel, name: usage.key, line: usage.line });
+        }
+      }
+    }
+
+    const allKeys = new Set();
+    for (const keys of locales.values()) {
+      for (const [key, entry] of keys) {
+        allKeys.add(key);
+        // 链接消息 @:other.key / @.lower:other.key 也算使用
+        if (typeof entry.value !== 'string') continue;
+        const linkRe = /@(?:\.\w+)?:(?:\{\s*['"]([^'"]+)['"]\s*\}|([\w.-]+[\w-]))/g;
+        let m;
+        while ((m = linkRe.exec(entry.value))) used.add(m[1] || m[2]);
+      }
+    }
+    // $tm('menu') 等按子树取用：使用某键也视为使用其下所有键
+    const isUsed = (key) => {
+      if (used.has(key) || patterns.some((re) => re.test(key))) return true;
+      const parts = key.split('.');
+      for (let i = parts.length - 1; i > 0; i--) {
+        if (used.has(parts.slice(0, i).join('.'))) return true;
+      }
+      return false;
+    };
+    const isDefined = (key) => allKeys.has(key) || Array.from(allKeys).some((k) => k.startsWith(key + '.'));
+
+    const unusedKeys = [];
+    const missingKeys = [];
+    const localeNames = Array.from(locales.keys()).sort();
+    for (const locale of localeNames) {
+      for (const [key, entry] of locales.get(locale)) {
+        if (this.isSafelisted(entry.file)) continue;
+        if (!isUsed(key)) {
+          unusedKeys.push({ path: entry.file, name: key, line: lineOfMessageKey(entry.content, key), locale });
+        }
+      }
+    }
+    for (const key of Array.from(allKeys).sort()) {
+      const present = localeNames.filter((locale) => locales.get(locale).has(key));
+      if (present.length === localeNames.length) continue;
+      const source = locales.get(present[0]).get(key);
+      for (const locale of localeNames) {
+        if (present.includes(locale)) continue;
+        // 缺失项指向该 locale 的首个翻译文件
+        const file = locales.get(locale).values().next().value;
+        missingKeys.push({
+          path: file ? file.file : source.file,
+          name: key,
+          line: 1,
+          locale,
+          definedIn: present,
+        });
+      }
+    }
+    const seen = new Set();
+    const undefinedKeys = undefinedCandidates.filter((item) => {
+      const id = `${item.path}\0${item.name}`;
+      if (isDefined(item.name) || seen.has(id) || this.isSafelisted(item.path)) return false;
+      seen.add(id);
+      return true;
+    });
+
+    const byLocation = (a, b) => a.path.localeCompare(b.path) || a.line - b.line || a.name.localeCompare(b.name);
+    if (this.options.verbose) {
+      this.log(`🌐 翻译键: ${localeNames.length} 个 locale（${localeNames.join(', ')}），共 ${allKeys.size} 个键`);
+    }
+    return {
+      locales: localeNames,
+      totalKeys: allKeys.size,
+      unusedKeys: unusedKeys.sort(byLocation),
+      missingKeys: missingKeys.sort(byLocation),
+      undefinedKeys: undefinedKeys.sort(byLocation),
+    };
+  }
+
+  // SFC 级分析：局部注册/导入但模板中从未渲染的组件、声明但从未读取的 props、声明但从未触发的 emits；
+  // deadImports 为只服务于未使用注册的导入说明符，parseFileImports 不为其建立引用边
+  analyzeSfc(content, filePath) {
+    const report = { components: [], props: [], emits: [], deadImports: new Set() };
+    const blocks = splitSfcBlocks(content);
+    if (blocks.scripts.length === 0) return report;
+    const lineAt = (offset) => content.slice(0, offset).split('\n').length;
+    const template = blocks.template && !/\blang\s*=\s*["'](?!html)/.test(blocks.template.attrs) ? blocks.template : null;
+
+    // 模板信息：标签名（含 is="x" 字面量）、绑定表达式文本、是否存在无法静态确定的 :is
+    const tags = new Set();
+    let expressions = '';
+    let dynamicIs = false;
+    if (template) {
+      const tagRe = /<([A-Za-z][\w.-]*)/g;
+      let m;
+      while ((m = tagRe.exec(template.content)) !== null) {
+        tags.add(toPascalCase(m[1]));
+        // <Foo.Item> 命名空间组件
+        if (m[1].includes('.')) tags.add(toPascalCase(m[1].split('.')[0]));
+      }
+      const isRe = /\s(:|v-bind:)?is\s*=\s*"([^"]*)"/g;
+      while ((m = isRe.exec(template.content)) !== null) {
+        const literal = m[1] ? /^\s*(['"`])([^'"`]+)\1\s*$/.exec(m[2]) : [null, null, m[2]];
+        if (literal) tags.add(toPascalCase(literal[2].replace(/^vue:/, '')));
+        else dynamicIs = true;
+      }
+      expressions = templateExpressions(template.content).map((expr) => expr.code).join('\n');
+    }
+
+    const scripts = blocks.scripts.map((block) => ({ ...block, imports: parseImportStatements(block.content) }));
+    // 脚本中除 import 语句外是否还引用了该标识符（可额外排除一个区间）
+    const usedInScript = (name, skip = null) => scripts.some((s) => {
+      let text = s.content;
+      for (const imp of s.imports) text = blankRange(text, imp.start, imp.end);
+      if (skip && skip.block === s) text = blankRange(text, skip.start, skip.end);
+      return hasIdentifier(text, name);
+    });
+    const rendered = (name) => tags.has(toPascalCase(name));
+    const deadLocals = new Set();
+    const deadInline = [];
+
+    if (template) {
+      // <script setup>：导入的 .vue 组件可直接在模板中使用
+      for (const s of scripts.filter((b) => b.setup)) {
+        for (const imp of s.imports) {
+          const resolved = this.resolveImportSpecifierToPath(imp.spec, filePath);
+          if (!resolved || !resolved.endsWith('.vue')) continue;
+          for (const local of imp.locals) {
+            if (rendered(local) || hasIdentifier(expressions, local) || usedInScript(local)) continue;
+            report.components.push({ name: local, line: lineAt(s.start + imp.start), source: imp.spec });
+            deadLocals.add(local);
+          }
+        }
+      }
+      // Options API：components: { ... } 注册
+      for (const s of scripts.filter((b) => !b.setup)) {
+        const m = /\bcomponents\s*:\s*\{/.exec(s.content);
+        if (!m || dynamicIs) continue;
+        const open = m.index + m[0].length - 1;
+        const close = matchBracket(s.content, open);
+        if (close === -1) continue;
+        for (const member of topLevelMembers(s.content.slice(open, close + 1))) {
+          if (rendered(member.name)) continue;
+          const inline = /\bimport\s*\(\s*(?:\/\*[\s\S]*?\*\/\s*)?['"]([^'"\n]+)['"]\s*\)/.exec(member.value);
+          report.components.push({ name: member.name, line: lineAt(s.start + open + member.index), source: inline ? inline[1] : undefined });
+          if (inline) deadInline.push(inline[1]);
+          else if (/^[\w$]+$/.test(member.value) && !usedInScript(member.value, { block: s, start: open, end: close + 1 })) {
+            deadLocals.add(member.value);
+          }
+        }
+      }
+    }
+
+    // 所有本地绑定都未使用的导入，且该说明符在文件中没有其它出现，才不计入引用边
+    const deadCounts = new Map();
+    for (const s of scripts) {
+      for (const imp of s.imports) {
+        if (imp.locals.length === 0 || !imp.locals.every((local) => deadLocals.has(local))) continue;
+        deadCounts.set(imp.spec, (deadCounts.get(imp.spec) || 0) + 1);
+      }
+    }
+    for (const spec of deadInline) deadCounts.set(spec, (deadCounts.get(spec) || 0) + 1);
+    for (const [spec, count] of deadCounts) {
+      const escaped = spec.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const occurrences = (content.match(new RegExp(`['"\`]${escaped}['"\`]`, 'g')) || []).length;
+      if (occurrences === count) report.deadImports.add(spec);
+    }
+
+    if (template) report.props = this.findUnusedSfcProps(scripts, expressions, template.content, lineAt);
+    report.emits = this.findUnusedSfcEmits(scripts, content, lineAt);
+    for (const key of ['components', 'props', 'emits']) report[key].sort((a, b) => a.line - b.line);
+    return report;
+  }
+
+  // 声明的 props：defineProps<{...}>() / defineProps<Props>()（同文件 interface/type）/ defineProps({...}) / defineProps([...]) / props: ...；
+  // 在模板表达式、props.x / this.x / $props.x、字符串键（toRef(props, 'x')、watch）或解构后的本地名中出现即视为已读取
+  findUnusedSfcProps(scripts, expressions, templateText, lineAt) {
+    const unused = [];
+    for (const s of scripts) {
+      const decl = this.extractSfcDeclaration(s.content, s.setup ? 'defineProps' : 'props');
+      if (!decl) continue;
+      const text = blankRange(s.content, decl.start, decl.end);
+      const binding = decl.binding || (s.setup ? null : 'props');
+      // 整体传递或动态访问 props 时无法判断具体使用了哪些键
+      if (/\$props(?!\s*\??\.)/.test(expressions + templateText) || /\$props(?!\s*\??\.)/.test(text)) continue;
+      if (binding) {
+        const whole = new RegExp(`(?<![\\w$.])${binding}(?![\\w$]|\\s*\\??\\.\\s*[\\w$])`, 'g');
+        const uses = ((text + '\n' + expressions).match(whole) || []).length - (s.setup ? 0 : (text.match(new RegExp(`\\bsetup\\s*\\(\\s*${binding}\\b`, 'g')) || []).length);
+        if (uses > 0) continue;
+      }
+      for (const prop of decl.names) {
+        const local = (decl.destructured && decl.destructured.get(prop.name)) || prop.name;
+        const escaped = prop.name.replace(/[$]/g, '\\$');
+        const access = new RegExp(`(?:\\$props|this|\\bprops${binding ? `|\\b${binding}` : ''})\\s*\\??\\.\\s*${escaped}(?![\\w$])|['"\`]${escaped}['"\`]`);
+        if (hasIdentifier(expressions, prop.name) || access.test(text) || access.test(expressions)) continue;
+        if (local !== prop.name && hasIdentifier(expressions, local)) continue;
+        if (decl.destructured && hasIdentifier(text, local)) continue;
+        if (!s.setup && this.isWatchedOption(text, prop.name)) continue;
+        unused.push({ name: prop.name, line: lineAt(s.start + prop.index) });
+      }
+    }
+    return unused;
+  }
+
+  // 声明的 emits：defineEmits([...]) / defineEmits<{ (e: 'a'): void }>() / defineEmits<{ a: [] }>() / defineEmits({...}) / emits: ...；
+  // 以字符串字面量调用 emit/$emit 即视为已触发，存在非字面量事件名或把 emit 整体传出时跳过
+  findUnusedSfcEmits(scripts, content, lineAt) {
+    const unused = [];
+    for (const s of scripts) {
+      const decl = this.extractSfcDeclaration(s.content, s.setup ? 'defineEmits' : 'emits');
+      if (!decl) continue;
+      const text = blankRange(content, s.start + decl.start, s.start + decl.end);
+      const names = ['\\$emit', 'emit', 'emits', ...(decl.binding ? [decl.binding] : [])].join('|');
+      const callRe = new RegExp(`(?<![\\w$])(?:${names})\\s*\\(\\s*(?:(['"\`])((?:\\\\.|(?!\\1)[^\\\\\\n])*)\\1|([^)\\s]))`, 'g');
+      const emitted = new Set();
+      let dynamic = false;
+      let m;
+      while ((m = callRe.exec(text)) !== null) {
+        if (m[3] || (m[1] === '`' && m[2].includes('${'))) dynamic = true;
+        else emitted.add(m[2]);
+      }
+      if (decl.binding && new RegExp(`(?<![\\w$.])${decl.binding}(?![\\w$]|\\s*\\()`).test(text)) dynamic = true;
+      if (dynamic) continue;
+      for (const event of decl.names) {
+        if (!emitted.has(event.name)) unused.push({ name: event.name, line: lineAt(s.start + event.index) });
+      }
+    }
+    return unused;
+  }
+
+  // 解析 defineProps/defineEmits 宏或 props/emits 选项：{ names: [{ name, index }], start, end, binding, destructured }；
+  // start/end 为声明在脚本中的区间，binding 为 const x = defineProps(...) 的变量名；类型无法在本文件中解析时返回 null
+  extractSfcDeclaration(script, key) {
+    const isMacro = key.startsWith('define');
+    const re = isMacro ? new RegExp(`\\b${key}\\s*(?=[<(])`) : new RegExp(`\\b${key}\\s*:\\s*(?=[\\[{])`);
+    const m = re.exec(script);
+    if (!m) return null;
+    let cursor = m.index + m[0].length;
+    let names = null;
+    let end = cursor;
+    if (script[cursor] === '<') {
+      const close = matchBracket(script, cursor);
+      if (close === -1) return null;
+      let type = script.slice(cursor + 1, close).trim();
+      let typeOffset = cursor + 1 + script.slice(cursor + 1).search(/\S/);
+      if (/^[\w$]+$/.test(type)) {
+        const decl = new RegExp(`\\b(?:interface\\s+${type}\\b[^{]*|type\\s+${type}\\s*=\\s*)\\{`).exec(script);
+        if (!decl) return null;
+        typeOffset = decl.index + decl[0].length - 1;
+        const typeClose = matchBracket(script, typeOffset);
+        if (typeClose === -1) return null;
+        type = script.slice(typeOffset, typeClose + 1);
+      }
+      if (!type.startsWith('{')) return null;
+      const signatures = /^\{\s*\(/.test(type);
+      if (signatures) {
+        // (e: 'a' | 'b', ...): void
+        names = [];
+        const sigRe = /\(\s*[\w$]+\s*:\s*((?:['"][^'"\n]+['"]\s*\|?\s*)+)/g;
+        let s;
+        while ((s = sigRe.exec(type)) !== null) {
+          for (const lit of stringLiterals(s[1])) names.push({ name: lit.name, index: typeOffset + s.index + s[0].indexOf(s[1]) + lit.index });
+        }
+      } else {
+        names = topLevelMembers(type).map((member) => ({ name: member.name, index: typeOffset + member.index }));
+      }
+      end = close + 1;
+      cursor = end;
+      while (/\s/.test(script[cursor] || '')) cursor++;
+    }
+    const open = script[cursor];
+    if (open === '(' || (!isMacro && (open === '{' || open === '['))) {
+      const close = matchBracket(script, cursor);
+      if (close === -1) return null;
+      const inner = isMacro ? script.slice(cursor + 1, close) : script.slice(cursor, close + 1);
+      const innerOffset = isMacro ? cursor + 1 : cursor;
+      const trimmed = inner.trim();
+      const lead = innerOffset + inner.indexOf(trimmed);
+      if (!names) {
+        if (trimmed.startsWith('{')) {
+          names = topLevelMembers(trimmed).map((member) => ({ name: member.name, index: lead + member.index }));
+        } else if (trimmed.startsWith('[')) {
+          names = stringLiterals(trimmed).map((lit) => ({ name: lit.name, index: lead + lit.index }));
+        } else if (trimmed === '') {
+          names = [];
+        } else {
+          return null;
+        }
+      }
+      end = close + 1;
+    }
+    if (!names) return null;
+
+    // const props = defineProps(...) / const { a, b: localB = 1 } = withDefaults(defineProps(...), {...})
+    let binding = null;
+    let destructured = null;
+    let start = m.index;
+    if (isMacro) {
+      const before = script.slice(0, m.index);
+      const assign = /\b(?:const|let|var)\s+([\w$]+|\{[^}]*\})\s*=\s*(?:withDefaults\s*\(\s*)?$/.exec(before);
+      if (assign) {
+        start = assign.index;
+        if (assign[1].startsWith('{')) {
+          destructured = new Map();
+          for (const member of topLevelMembers(assign[1])) {
+            const local = /^[\w$]+/.exec(member.value);
+            destructured.set(member.name, local ? local[0] : member.name);
+          }
+        } else {
+          binding = assign[1];
+        }
+        // withDefaults 的默认值对象一并排除
+        if (/withDefaults\s*\(\s*$/.test(assign[0])) {
+          const wrapClose = matchBracket(script, script.lastIndexOf('(', m.index));
+          if (wrapClose !== -1) end = wrapClose + 1;
+        }
+      }
+    }
+    return { names, start, end, binding, destructured };
+  }
+
+  // Options API 的 watch: { name() {} } / watch: { 'name': ... } 中是否监听了该 prop
+  isWatchedOption(script, name) {
+    const m = /\bwatch\s*:\s*\{/.exec(script);
+    if (!m) return false;
+    const open = m.index + m[0].length - 1;
+    const close = matchBracket(script, open);
+    if (close === -1) return false;
+    return topLevelMembers(script.slice(open, close + 1)).some((member) => member.name === name || member.name.split('.')[0] === name);
+  }
+
+  // 只经由仅类型/声明文件的边才可达的 .vue 与代码文件；via 为其可达或非运行时的引用方
+  async findTypeOnlyFiles(reachableFiles, usedVue) {
+    const runtimeReachable = await this.getReachableFiles(null, { runtimeOnly: true });
+    const result = [];
+    for (const rel of new Set([...reachableFiles, ...usedVue])) {
+      if (runtimeReachable.has(rel) || this.isSafelisted(rel)) continue;
+      if (!this.allVueFiles.has(rel) && !this.allCodeFiles.has(rel)) continue;
+      const via = this.getReferrers(rel)
+        .map((from) => ({ from, kind: this.getEdgeKind(from, rel) }))
+        .filter((edge) => edge.kind !== 'runtime' || reachableFiles.has(edge.from));
+      result.push({ path: rel, via });
+    }
+    return result.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  // 分别从测试与 Stories 出发的可达文件（含其中引用的静态资源）；入口可达的文件不会出现在未使用列表中，无需提取资源
+  async getTestAndStoryUsage(reachableFiles) {
+    const usage = {};
+    for (const [key, roots] of [['tests', this.testFiles], ['stories', this.storyFiles]]) {
+      const reachable = await this.getReachableFiles(null, { roots });
+      for (const rel of Array.from(reachable)) {
+        if (reachableFiles.has(rel) || this.allAssetFiles.has(rel)) continue;
+        try {
+          const abs = path.join(this.rootDir, rel);
+          for (const asset of this.extractAssetReferencesFromContent(await readFile(abs, 'utf8'), abs)) {
+            reachable.add(path.relative(this.rootDir, asset));
+          }
+        } catch (_) {}
+      }
+      usage[key] = reachable;
+    }
+    return usage;
+  }
+
+  // 未使用文件的分类（见 USAGE_LABELS）
+  classifyUsage(rel, usage) {
+    const byTests = usage.tests.has(rel);
+    const byStories = usage.stories.has(rel);
+    if (byTests && byStories) return 'tests-and-stories';
+    return byTests ? 'tests' : byStories ? 'stories' : 'dead';
+  }
+
+  // 失效的测试 / Stories：导入的项目内文件已无法解析（被测组件已删除或移动）
+  findStaleTests() {
+    const result = [];
+    for (const rel of [...this.testFiles, ...this.storyFiles]) {
+      const missing = this.unresolvedImports.get(rel);
+      if (!missing || this.isSafelisted(rel)) continue;
+      result.push({ path: rel, kind: this.storyFiles.has(rel) ? 'story' : 'test', missing });
+    }
+    return result.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  // 反向边：引用该文件的所有文件（相对路径，已排序）
+  getReferrers(rel) {
+    const result = [];
+    for (const [from, targets] of this.graph) {
+      if (targets.has(rel)) result.push(from);
+    }
+    return result.sort();
+  }
+
+  // 解释文件为何可达/不可达：可达时给出入口到该文件的最短导入链；不可达时列出所有引用方及其可达性
+  async explainFile(target) {
+    const rel = target.split('/').join(path.sep);
+    const parents = new Map();
+    const reachable = await this.getReachableFiles(parents);
+    const importers = [];
+    for (const [from, targets] of this.graph) {
+      if (targets.has(rel)) importers.push({ path: from, reachable: reachable.has(from), kind: this.getEdgeKind(from, rel) });
+    }
+    importers.sort((a, b) => Number(b.reachable) - Number(a.reachable) || a.path.localeCompare(b.path));
+
+    const result = {
+      path: rel,
+      exists: fs.existsSync(path.join(this.rootDir, rel)),
+      reachable: reachable.has(rel),
+      chain: null,
+      importers,
+      declaredInDts: this.usedVueFromDts.has(rel),
+      safelisted: this.isSafelisted(rel),
+      assetReferrers: [],
+    };
+    if (result.reachable) {
+      const chain = [rel];
+      let cur = rel;
+      while (parents.has(cur)) {
+        cur = parents.get(cur);
+        chain.unshift(cur);
+      }
+      result.chain = chain;
+    } else if (this.allAssetFiles.has(rel)) {
+      // 静态资源多由内容扫描（url()/src=）识别，不一定是图中的边
+      for (const from of reachable) {
+        try {
+          const abs = path.join(this.rootDir, from);
+          const refs = this.extractAssetReferencesFromContent(await readFile(abs, 'utf8'), abs);
+          if (Array.from(refs).some((r) => path.relative(this.rootDir, r) === rel)) result.assetReferrers.push(from);
+        } catch (_) {}
+      }
+    }
+    return result;
+  }
+
+  // 导出依赖图视图：可按子目录过滤，或只保留距某节点 depth 跳以内（双向）的节点
+  async buildGraphView({ dir = null, from = null, depth = Infinity } = {}) {
+    const reachable = await this.getReachableFiles();
+    const edges = [];
+    const nodes = new Set();
+    for (const [source, targets] of this.graph) {
+      nodes.add(source);
+      for (const target of targets) {
+        nodes.add(target);
+        edges.push([source, target]);
+      }
+    }
+
+    let keep = nodes;
+    if (from) {
+      const start = from.split('/').join(path.sep);
+      if (!nodes.has(start)) this.log(`⚠️ --graph-from 指定的文件不在依赖图中: ${from}`);
+      const adjacency = new Map();
+      const link = (a, b) => {
+        if (!adjacency.has(a)) adjacency.set(a, new Set());
+        adjacency.get(a).add(b);
+      };
+      for (const [a, b] of edges) {
+        link(a, b);
+        link(b, a);
+      }
+      keep = new Set([start]);
+      let frontier = [start];
+      for (let d = 0; d < depth && frontier.length > 0; d++) {
+        const next = [];
+        for (const n of frontier) {
+          for (const m of adjacency.get(n) || []) {
+            if (!keep.has(m)) {
+              keep.add(m);
+              next.push(m);
+            }
+          }
+        }
+        frontier = next;
+      }
+    }
+    if (dir) {
+      const prefix = dir.replace(/^\.?\//, '').replace(/\/+$/, '');
+      keep = new Set(Array.from(keep).filter((n) => {
+        const normalized = n.split(path.sep).join('/');
+        return normalized === prefix || normalized.startsWith(prefix + '/');
+      }));
+    }
+
+    const kindOf = (rel) => {
+      const ext = path.extname(rel).toLowerCase();
+      if (ext === '.vue') return 'vue';
+      if (this.options.assetExtensions.includes(ext)) return 'asset';
+      if (this.options.styleExtensions.includes(ext)) return 'style';
+      return 'code';
+    };
+    return {
+      nodes: Array.from(keep).sort().map((id) => ({ id, kind: kindOf(id), reachable: reachable.has(id) })),
+      edges: edges.filter(([a, b]) => keep.has(a) && keep.has(b)).map(([a, b]) => ({ from: a, to: b, kind: this.getEdgeKind(a, b) })),
+    };
+  }
+
+  // 构图：加载配置与别名 -> 收集候选文件 -> 扫描引用 -> 补充模板组件与自动导入边
+  async buildGraph() {
+    await this.loadProjectConfig();
+    await this.loadAliasesFromConfigs();
+    await this.loadWorkspacePackages();
+    for (const app of this.detectNuxtApps()) this.applyNuxtConventions(app);
+    await this.collectVueFiles();
+    await this.collectAssetFiles();
+    await this.collectCodeFiles();
+    await this.collectStyleFiles();
+    await this.collectEmptyDirs();
+    if (this.options.templateComponents) await this.buildComponentRegistry();
+    await this.scanReferences();
+    if (this.options.tests) await this.scanTestAndStoryFiles();
+    if (this.options.templateComponents) this.linkTemplateComponents();
+    if (this.nuxtApps.length > 0) {
+      await this.buildAutoImportRegistry();
+      await this.linkAutoImports();
+    }
+  }
+
+  // 主流程：收集 -> 构图 -> 计算可达 -> 合并 .d.ts 全局组件 -> 输出结果
+  async findUnusedVueFiles() {
+    this.log("🚀 开始查找未使用的.vue文件...\n");
+
+    await this.buildGraph();
+
+    const reachableVue = await this.getReachableVueFiles();
+    // 合并 .d.ts 注册的全局组件（runtimeOnly 时声明文件的引用不计入）
+    const finalUsedVue = new Set([...reachableVue, ...(this.options.runtimeOnly ? [] : this.usedVueFromDts)]);
+    const reachableFiles = await this.getReachableFiles();
+    const typeOnlyFiles = this.options.runtimeOnly ? [] : await this.findTypeOnlyFiles(reachableFiles, finalUsedVue);
+    await this.computeReferencedAssetsFromReachable(reachableFiles);
+    const unusedExports = this.options.unusedExports ? await this.findUnusedExports(reachableFiles) : [];
+    const depsReport = this.options.dependencies ? await this.analyzeDependencies(reachableFiles) : null;
+    const unusedDependencies = depsReport ? depsReport.unusedDependencies : [];
+    const undeclaredDependencies = depsReport ? depsReport.undeclaredDependencies : [];
+    const unexecutedFiles = this.options.coverage
+      ? this.arrangeFindingFiles(this.findUnexecutedFiles(reachableFiles, finalUsedVue))
+      : [];
+    const duplicateAssets = this.options.duplicateAssets ? this.findDuplicateAssets() : [];
+    const dynamicReferences = this.getDynamicReferences(reachableFiles);
+    const i18nReport = this.options.i18n ? await this.analyzeI18n(reachableFiles) : null;
+    // 仅报告可达组件内部的问题，不可达组件整体已在“未使用的 .vue 文件”中
+    const sfcFindings = { components: [], props: [], emits: [] };
+    for (const [rel, sfc] of this.sfcReports) {
+      if (!finalUsedVue.has(rel) || this.isSafelisted(rel)) continue;
+      for (const key in sfcFindings) {
+        for (const item of sfc[key]) sfcFindings[key].push({ path: rel, ...item });
+      }
+    }
+    for (const key in sfcFindings) sfcFindings[key].sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line);
+
+    let unusedFiles = [];
+    for (const vueFile of this.allVueFiles) {
+      if (!finalUsedVue.has(vueFile) && !this.isSafelisted(vueFile)) {
+        unusedFiles.push(vueFile);
+      }
+    }
+
+    let unusedAssets = [];
+    for (const asset of this.allAssetFiles) {
+      if (!this.referencedAssets.has(asset) && !this.isSafelisted(asset)) {
+        unusedAssets.push(asset);
+      }
+    }
+
+    let unusedCodeFiles = [];
+    for (const codeFile of this.allCodeFiles) {
+      if (!reachableFiles.has(codeFile) && !this.isSafelisted(codeFile)) {
+        // 若代码文件与已使用的 .vue 组件成对（同目录同名或 index.{js,ts} + index.vue），视为包装文件，不报未使用
+        const codeDir = path.dirname(codeFile);
+        const base = path.basename(codeFile, path.extname(codeFile));
+        const sameBaseVue = path.join(codeDir, base + '.vue');
+        const indexVue = path.join(codeDir, 'index.vue');
+        const pairsWithUsedVue = (this.allVueFiles.has(sameBaseVue) && finalUsedVue.has(sameBaseVue)) ||
+          (base === 'index' && this.allVueFiles.has(indexVue) && finalUsedVue.has(indexVue));
+        if (pairsWithUsedVue) {
+          continue;
+        }
+        unusedCodeFiles.push(codeFile);
+      }
+    }
+
+    let unusedStyleFiles = [];
+    for (const styleFile of this.allStyleFiles) {
+      if (!reachableFiles.has(styleFile) && !this.isSafelisted(styleFile)) {
+        unusedStyleFiles.push(styleFile);
+      }
+    }
+
+    this.emptyDirs = this.emptyDirs.filter((dir) => !this.isSafelisted(dir));
+
+    // 按 minSize 过滤、按 sort 排序
+    unusedFiles = this.arrangeFindingFiles(unusedFiles);
+    unusedAssets = this.arrangeFindingFiles(unusedAssets);
+    unusedCodeFiles = this.arrangeFindingFiles(unusedCodeFiles);
+    unusedStyleFiles = this.arrangeFindingFiles(unusedStyleFiles);
+
+    // 按测试 / Stories 的可达性给未使用文件分类
+    const testUsage = this.options.tests ? await this.getTestAndStoryUsage(reachableFiles) : null;
+    const fileUsage = {};
+    if (testUsage) {
+      for (const rel of [...unusedFiles, ...unusedAssets, ...unusedCodeFiles, ...unusedStyleFiles]) {
+        fileUsage[rel] = this.classifyUsage(rel, testUsage);
+      }
+    }
+    const usageSuffix = (rel) => (fileUsage[rel] && fileUsage[rel] !== 'dead' ? ` [${USAGE_LABELS[fileUsage[rel]]}]` : "");
+    const staleTests = this.options.tests ? this.findStaleTests() : [];
+
+    const sizeOf = (files) => files.reduce((sum, rel) => sum + this.getFileSize(rel), 0);
+    const duplicateWaste = duplicateAssets.reduce((sum, g) => sum + g.wasted, 0);
+    // 总可回收空间：重复资源的副本可能同时是未使用资源，按路径去重
+    const reclaimable = new Set([...unusedFiles, ...unusedAssets, ...unusedCodeFiles, ...unusedStyleFiles]);
+    for (const group of duplicateAssets) {
+      for (const copy of group.copies) {
+        if (copy.path !== group.keep) reclaimable.add(copy.path);
+      }
+    }
+
+    this.log("\n📋 结果报告:");
+    this.log("══════════════════════════════════════");
+    this.log(`📊 总Vue文件数: ${this.allVueFiles.size}`);
+    this.log(`🔗 可达(被实际引用)文件数: ${finalUsedVue.size}`);
+    this.log(`🚫 未使用文件数: ${unusedFiles.length} (${formatBytes(sizeOf(unusedFiles))})`);
+    this.log(`\n📦 总静态资源数: ${this.allAssetFiles.size}`);
+    this.log(`🖼️ 被引用资源数: ${this.referencedAssets.size}`);
+    this.log(`🗑️ 未使用资源数: ${unusedAssets.length} (${formatBytes(sizeOf(unusedAssets))})`);
+    if (duplicateAssets.length > 0) {
+      this.log(`🧬 重复资源组数: ${duplicateAssets.length} (多余副本 ${formatBytes(duplicateWaste)})`);
+    }
+    this.log(`\n🧩 总代码文件数(不含 .vue): ${this.allCodeFiles.size}`);
+    this.log(`🧭 可达代码文件数: ${Array.from(reachableFiles).filter(f => this.allCodeFiles.has(f)).length}`);
+    this.log(`🗑️ 未使用代码文件数: ${unusedCodeFiles.length} (${formatBytes(sizeOf(unusedCodeFiles))})`);
+    this.log(`\n🎨 总样式文件数: ${this.allStyleFiles.size}`);
+    this.log(`🗑️ 未使用样式文件数: ${unusedStyleFiles.length} (${formatBytes(sizeOf(unusedStyleFiles))})`);
+    this.log(`\n💰 可回收空间合计: ${formatBytes(sizeOf(Array.from(reclaimable)))}`);
+    if (testUsage) {
+      const usedByTests = Object.values(fileUsage).filter((usage) => usage !== 'dead').length;
+      this.log(`🧪 测试 ${this.testFiles.size} 个，Stories ${this.storyFiles.size} 个；未使用文件中仅被测试/Stories 使用: ${usedByTests} 个`);
+    }
+    if (this.options.minSize > 0) {
+      this.log(`📏 仅统计不小于 ${formatBytes(this.options.minSize)} 的文件`);
+    }
+    if (this.options.runtimeOnly) {
+      this.log("🏃 仅按运行时引用计算可达性：import type、/// <reference> 与声明文件中的引用不计入");
+    }
+    this.log("══════════════════════════════════════\n");
+
+    // 体积最大的未使用文件优先展示，便于先清理收益最大的部分
+    const largest = [...unusedFiles, ...unusedAssets, ...unusedCodeFiles, ...unusedStyleFiles]
+      .sort((a, b) => this.getFileSize(b) - this.getFileSize(a))
+      .slice(0, this.options.top);
+    if (largest.length > 0) {
+      this.log(`🔝 体积最大的未使用文件 (前 ${largest.length} 个):`);
+      largest.forEach((file, index) => {
+        this.log(`${index + 1}. ${formatBytes(this.getFileSize(file)).padStart(9)}  ${file}`);
+      });
+      this.log("");
+    }
+
+    if (unusedFiles.length > 0) {
+      this.log("📝 未使用的.vue文件列表:");
       unusedFiles.forEach((file, index) => {
-        console.log(`${index + 1}. ${file}`);
+        this.log(`${index + 1}. ${file}${usageSuffix(file)}`);
+      });
+    } else {
+      this.log("🎉 恭喜！没有找到未使用的.vue文件。");
+    }
+
+    if (unusedAssets.length > 0) {
+      this.log("\n📝 未使用的静态资源文件列表:");
+      unusedAssets.forEach((file, index) => {
+        this.log(`${index + 1}. ${file}${usageSuffix(file)}`);
       });
     } else {
-      console.log("🎉 恭喜！没有找到未使用的.vue文件。");
+      this.log("\n🎉 恭喜！没有找到未使用的静态资源文件。");
+    }
+
+    if (unusedCodeFiles.length > 0) {
+      this.log("\n📝 未使用的代码文件列表 (JS/TS/JSX/TSX/MJS/CJS):");
+      unusedCodeFiles.forEach((file, index) => {
+        this.log(`${index + 1}. ${file}${usageSuffix(file)}`);
+      });
+    } else {
+      this.log("\n🎉 恭喜！没有找到未使用的代码文件。");
+    }
+
+    if (unusedStyleFiles.length > 0) {
+      this.log("\n📝 未使用的样式文件列表 (CSS/SCSS/Sass/Less/Stylus):");
+      unusedStyleFiles.forEach((file, index) => {
+        this.log(`${index + 1}. ${file}${usageSuffix(file)}`);
+      });
+    } else {
+      this.log("\n🎉 恭喜！没有找到未使用的样式文件。");
+    }
+
+    if (this.emptyDirs.length > 0) {
+      this.log("\n📝 空目录列表:");
+      this.emptyDirs.forEach((dir, index) => {
+        this.log(`${index + 1}. ${dir}`);
+      });
+    } else {
+      this.log("\n🎉 恭喜！没有找到空目录。");
+    }
+
+    if (this.options.unusedExports) {
+      if (unusedExports.length > 0) {
+        this.log("\n📝 未使用的导出列表:");
+        unusedExports.forEach((item, index) => {
+          this.log(`${index + 1}. ${item.path}:${item.line} ${item.name}`);
+        });
+      } else {
+        this.log("\n🎉 恭喜！没有找到未使用的导出。");
+      }
+    }
+
+    if (this.options.sfc) {
+      const sfcSections = [
+        ["components", "\n📝 未使用的局部组件（已导入/注册但模板中未渲染）:", "\n🎉 恭喜！没有找到未渲染的局部组件。"],
+        ["props", "\n📝 未使用的 props:", null],
+        ["emits", "\n📝 未使用的事件（已声明但从未 emit）:", null],
+      ];
+      for (const [key, title, empty] of sfcSections) {
+        if (sfcFindings[key].length > 0) {
+          this.log(title);
+          sfcFindings[key].forEach((item, index) => {
+            this.log(`${index + 1}. ${item.path}:${item.line} ${item.name}`);
+          });
+        } else if (empty) {
+          this.log(empty);
+        }
+      }
+    }
+
+    if (depsReport) {
+      if (unusedDependencies.length > 0) {
+        this.log("\n📝 未使用的依赖列表:");
+        unusedDependencies.forEach((dep, index) => {
+          this.log(`${index + 1}. ${dep.name} (${dep.field})`);
+        });
+      } else {
+        this.log("\n🎉 恭喜！没有找到未使用的依赖。");
+      }
+      if (undeclaredDependencies.length > 0) {
+        this.log("\n📝 未在 package.json 中声明的依赖:");
+        undeclaredDependencies.forEach((dep, index) => {
+          this.log(`${index + 1}. ${dep.name} <- ${dep.importers.slice(0, 3).join(", ")}${dep.importers.length > 3 ? " ..." : ""}`);
+        });
+      }
+    }
+
+    if (typeOnlyFiles.length > 0) {
+      this.log(`\n📐 仅被类型引用的文件（运行时不可达，${typeOnlyFiles.length} 个）:`);
+      typeOnlyFiles.forEach((item, index) => {
+        const first = item.via[0];
+        const source = first ? ` <- ${first.from} (${EDGE_KIND_LABELS[first.kind]})` : "";
+        const more = item.via.length > 1 ? ` 等 ${item.via.length} 处` : "";
+        this.log(`${index + 1}. ${item.path}${source}${more}`);
+      });
+    }
+
+    if (staleTests.length > 0) {
+      this.log(`\n🧪 失效的测试（导入的项目文件已不存在，${staleTests.length} 个）:`);
+      staleTests.forEach((item, index) => {
+        const first = item.missing[0];
+        const more = item.missing.length > 1 ? ` 等 ${item.missing.length} 处` : "";
+        this.log(`${index + 1}. ${item.path}:${first.line} -> ${first.spec}${more}`);
+      });
+    }
+
+    if (this.options.coverage && unexecutedFiles.length > 0) {
+      this.log("\n📝 可达但从未执行的文件（运行时覆盖率）:");
+      unexecutedFiles.forEach((file, index) => {
+        this.log(`${index + 1}. ${file}`);
+      });
+    } else if (this.options.coverage) {
+      this.log("\n🎉 恭喜！覆盖范围内的可达文件均被执行过。");
+    }
+
+    if (i18nReport) {
+      const { unusedKeys, missingKeys, undefinedKeys } = i18nReport;
+      this.log(`\n🌐 翻译键（${i18nReport.locales.join(", ")}，共 ${i18nReport.totalKeys} 个）:`);
+      if (unusedKeys.length > 0) {
+        this.log("📝 未使用的翻译键:");
+        unusedKeys.forEach((item, index) => {
+          this.log(`${index + 1}. [${item.locale}] ${item.name} (${item.path}:${item.line})`);
+        });
+      } else {
+        this.log("🎉 恭喜！没有找到未使用的翻译键。");
+      }
+      if (missingKeys.length > 0) {
+        this.log("📝 部分 locale 缺失的翻译键:");
+        missingKeys.forEach((item, index) => {
+          this.log(`${index + 1}. [${item.locale}] ${item.name} (存在于 ${item.definedIn.join(", ")})`);
+        });
+      }
+      if (undefinedKeys.length > 0) {
+        this.log("📝 代码中使用但未定义的翻译键:");
+        undefinedKeys.forEach((item, index) => {
+          this.log(`${index + 1}. ${item.name} <- ${item.path}:${item.line}`);
+        });
+      }
+    }
+
+    if (duplicateAssets.length > 0) {
+      const wasted = duplicateAssets.reduce((sum, g) => sum + g.wasted, 0);
+      this.log(`\n🧬 重复的静态资源（内容相同，共浪费 ${formatBytes(wasted)}）:`);
+      duplicateAssets.forEach((group, index) => {
+        this.log(`${index + 1}. ${group.copies.length} 份 × ${formatBytes(group.size)}，浪费 ${formatBytes(group.wasted)}`);
+        group.copies.forEach((copy) => {
+          const mark = copy.path === group.keep ? "✅ 保留" : "   -";
+          this.log(`   ${mark} ${copy.path} (${copy.references} 处引用)`);
+        });
+      });
+    }
+
+    if (dynamicReferences.length > 0) {
+      this.log(`\n🎲 仅通过动态路径引用的文件（置信度: dynamic，${dynamicReferences.length} 个）:`);
+      dynamicReferences.forEach((item, index) => {
+        const first = item.via[0];
+        const more = item.via.length > 1 ? ` 等 ${item.via.length} 处` : "";
+        this.log(`${index + 1}. ${item.path} <- ${first.from}: ${first.pattern}${more}`);
+      });
+    }
+
+    // 互相引用的未使用文件按连通分量成簇（至少 2 个文件），便于整体删除
+    const liveFiles = new Set([...reachableFiles, ...finalUsedVue, ...this.referencedAssets]);
+    const deadClusters = this.findDeadClusters([...unusedFiles, ...unusedCodeFiles, ...unusedStyleFiles, ...unusedAssets], liveFiles);
+    if (deadClusters.length > 0) {
+      this.log("\n🧱 死代码簇（互相引用的未使用文件）:");
+      deadClusters.forEach((cluster) => {
+        let verdict = "✅ 可整体删除";
+        if (cluster.inboundFromLive.length > 0) verdict = `⚠️ 仍被 ${cluster.inboundFromLive.length} 处存活代码引用`;
+        else if (cluster.inboundFromOther.length > 0) verdict = `⚠️ 仍被 ${cluster.inboundFromOther.length} 处簇外文件引用（${cluster.inboundFromOther[0].from} 等）`;
+        this.log(`${cluster.id}. ${cluster.root || "."}/ (${cluster.files.length} 个文件, ${formatBytes(cluster.size)}) ${verdict}`);
+        cluster.files.forEach((file) => this.log(`   - ${file}`));
+        if (cluster.edgesToLive.length > 0) {
+          this.log(`   ↳ 指向存活代码的引用 ${cluster.edgesToLive.length} 处`);
+        }
+      });
+    }
+
+    const result = {
+      unusedVueFiles: unusedFiles,
+      unusedAssets,
+      unusedCodeFiles,
+      unusedStyleFiles,
+      emptyDirs: this.emptyDirs,
+      unusedExports,
+      unusedDependencies,
+      undeclaredDependencies,
+      unexecutedFiles,
+      typeOnlyFiles,
+      duplicateAssets,
+      dynamicReferences,
+      i18n: i18nReport,
+      unusedComponents: sfcFindings.components,
+      unusedProps: sfcFindings.props,
+      unusedEmits: sfcFindings.emits,
+      fileUsage: testUsage ? fileUsage : null,
+      staleTests,
+      deadClusters,
+      entries: Array.from(this.entrySources, ([rel, source]) => ({ path: rel, source })),
+    };
+    result.findings = this.buildFindings(result);
+    if (this.workspacePackages.length > 0) this.printWorkspaceSummary(result.findings);
+    return result;
+  }
+
+  // 将各分类结果整理为统一的发现项：{ category, path, size, reason }
+  buildFindings(result) {
+    const groups = {
+      vue: result.unusedVueFiles,
+      assets: result.unusedAssets,
+      code: result.unusedCodeFiles,
+      styles: result.unusedStyleFiles,
+      dirs: result.emptyDirs,
+      types: (result.typeOnlyFiles || []).map((item) => item.path),
+      unexecuted: result.unexecutedFiles,
+    };
+    const findings = [];
+    for (const category in groups) {
+      for (const rel of groups[category] || []) {
+        const size = category === "dirs" ? 0 : this.getFileSize(rel);
+        const finding = { category, path: rel, size, reason: REPORT_CATEGORIES[category].reason };
+        const usage = result.fileUsage && result.fileUsage[rel];
+        if (usage) {
+          finding.usage = usage;
+          if (usage !== "dead") finding.reason += `；${USAGE_LABELS[usage]}`;
+        }
+        findings.push(finding);
+      }
+    }
+    for (const item of result.unusedExports || []) {
+      findings.push({
+        category: "exports",
+        path: item.path,
+        size: 0,
+        reason: REPORT_CATEGORIES.exports.reason,
+        name: item.name,
+        line: item.line,
+      });
+    }
+    const sfcGroups = { components: result.unusedComponents, props: result.unusedProps, emits: result.unusedEmits };
+    for (const category in sfcGroups) {
+      for (const item of sfcGroups[category] || []) {
+        findings.push({ category, path: item.path, size: 0, reason: REPORT_CATEGORIES[category].reason, name: item.name, line: item.line });
+      }
+    }
+    for (const dep of result.unusedDependencies || []) {
+      findings.push({
+        category: "dependencies",
+        path: dep.manifest || "package.json",
+        size: 0,
+        reason: `${REPORT_CATEGORIES.dependencies.reason}（${dep.field}）`,
+        name: dep.name,
+      });
+    }
+    for (const dep of result.undeclaredDependencies || []) {
+      findings.push({
+        category: "undeclared",
+        path: dep.importers[0],
+        size: 0,
+        reason: REPORT_CATEGORIES.undeclared.reason,
+        name: dep.name,
+      });
+    }
+    const i18n = result.i18n || { unusedKeys: [], missingKeys: [], undefinedKeys: [] };
+    const translationGroups = { i18n: i18n.unusedKeys, "i18n-missing": i18n.missingKeys, "i18n-undefined": i18n.undefinedKeys };
+    for (const category in translationGroups) {
+      for (const item of translationGroups[category]) {
+        const finding = { category, path: item.path, size: 0, reason: REPORT_CATEGORIES[category].reason, name: item.name, line: item.line };
+        if (item.locale) finding.locale = item.locale;
+        findings.push(finding);
+      }
+    }
+    for (const item of result.staleTests || []) {
+      const first = item.missing[0];
+      findings.push({
+        category: "stale-tests",
+        path: item.path,
+        size: this.getFileSize(item.path),
+        reason: `${REPORT_CATEGORIES["stale-tests"].reason}（${item.missing.map((m) => m.spec).join(", ")}）`,
+        name: first.spec,
+        line: first.line,
+      });
+    }
+    // 重复资源：保留引用最多的一份，其余副本各记一项
+    for (const group of result.duplicateAssets || []) {
+      for (const copy of group.copies) {
+        if (copy.path === group.keep) continue;
+        findings.push({
+          category: "duplicates",
+          path: copy.path,
+          size: group.size,
+          reason: `${REPORT_CATEGORIES.duplicates.reason}，建议保留 ${group.keep}`,
+          keep: group.keep,
+        });
+      }
+    }
+    // 标注所属死代码簇
+    const clusterOf = new Map();
+    for (const cluster of result.deadClusters || []) {
+      for (const file of cluster.files) clusterOf.set(file, cluster.id);
+    }
+    for (const f of findings) {
+      if (!f.name && clusterOf.has(f.path)) f.cluster = clusterOf.get(f.path);
+    }
+    // 工作区模式：标注发现项所属的包（不属于任何包的记为 ROOT_PACKAGE）
+    if (this.workspacePackages.length > 0) {
+      for (const f of findings) {
+        const wp = this.getWorkspacePackage(f.path);
+        f.package = wp ? wp.name : ROOT_PACKAGE;
+      }
+    }
+    return findings;
+  }
+
+  // 按工作区包输出各分类的发现数
+  printWorkspaceSummary(findings) {
+    const byPackage = groupFindingsByPackage(findings);
+    this.log("\n📦 按工作区包统计:");
+    const names = [ROOT_PACKAGE, ...this.workspacePackages.map((wp) => wp.name).sort()];
+    for (const name of names) {
+      const counts = byPackage[name];
+      const wp = this.workspaceByName.get(name);
+      const label = wp ? `${name} (${wp.dir})` : name;
+      if (!counts) {
+        this.log(`  ${label}: 🎉 无发现`);
+        continue;
+      }
+      const parts = Object.keys(counts).map((key) => `${key} ${counts[key]}`);
+      this.log(`  ${label}: ${parts.join(", ")}`);
+    }
+  }
+}
+
+// --coverage 指向文件时直接读取；指向目录时递归读取其中的 .json（NODE_V8_COVERAGE 目录、coverage/coverage-final.json 等）
+function collectCoverageFiles(target) {
+  let st;
+  try {
+    st = fs.statSync(target);
+  } catch (_) {
+    return [];
+  }
+  if (st.isFile()) return [target];
+  const files = [];
+  for (const name of fs.readdirSync(target)) {
+    if (name === "node_modules") continue;
+    const abs = path.join(target, name);
+    let child;
+    try {
+      child = fs.statSync(abs);
+    } catch (_) {
+      continue;
+    }
+    if (child.isDirectory()) files.push(...collectCoverageFiles(abs));
+    else if (name.endsWith(".json")) files.push(abs);
+  }
+  return files;
+}
+
+// 覆盖率 JSON -> [{ url, executed }]：V8（NODE_V8_COVERAGE 的 { result: [...] } 或 Playwright 的数组）与 Istanbul（以文件路径为键）
+function parseCoverageEntries(data) {
+  const v8 = Array.isArray(data) ? data : data && Array.isArray(data.result) ? data.result : null;
+  if (v8) {
+    return v8
+      .filter((entry) => entry && typeof entry.url === "string")
+      .map((entry) => ({
+        url: entry.url,
+        executed: (entry.functions || []).some((fn) => (fn.ranges || []).some((r) => r.count > 0)),
+      }));
+  }
+  const entries = [];
+  if (data && typeof data === "object") {
+    for (const key in data) {
+      const entry = data[key];
+      if (!entry || typeof entry !== "object" || !entry.s) continue;
+      const counts = [...Object.values(entry.s), ...Object.values(entry.f || {})];
+      entries.push({ url: entry.path || key, executed: counts.some((c) => c > 0) });
+    }
+  }
+  return entries;
+}
+
+// 由发现项汇总报告对象（供各机器可读格式使用）
+function buildReport(rootDir, findings, { entries = [], clusters = [], since = null, duplicates = [], dynamic = [] } = {}) {
+  const summary = {};
+  for (const key in REPORT_CATEGORIES) summary[key] = { count: 0, size: 0 };
+  for (const f of findings) {
+    summary[f.category].count += 1;
+    summary[f.category].size += f.size;
+  }
+  const report = {
+    tool: "vue-prune",
+    version: getPackageVersion(),
+    root: rootDir,
+    generatedAt: new Date().toISOString(),
+    summary,
+    entries,
+    findings,
+  };
+  if (findings.some((f) => f.package)) report.packages = groupFindingsByPackage(findings);
+  if (clusters.length > 0) report.clusters = clusters;
+  if (duplicates.length > 0) report.duplicates = duplicates;
+  if (dynamic.length > 0) report.dynamic = dynamic;
+  if (since) report.since = since;
+  return report;
+}
+
+// 工作区模式下按包统计各分类数量：{ 包名: { 分类: 数量 } }
+function groupFindingsByPackage(findings) {
+  const result = {};
+  for (const f of findings) {
+    const name = f.package || ROOT_PACKAGE;
+    if (!result[name]) result[name] = {};
+    result[name][f.category] = (result[name][f.category] || 0) + 1;
+  }
+  return result;
+}
+
+function getPackageVersion() {
+  try {
+    return require("./package.json").version || "0.0.0";
+  } catch (_) {
+    return "0.0.0";
+  }
+}
+
+// 根据 --out 文件扩展名推断报告格式
+function inferReportFormat(outFile) {
+  const ext = path.extname(outFile || "").toLowerCase();
+  if (ext === ".json") return "json";
+  if (ext === ".sarif") return "sarif";
+  if (ext === ".md" || ext === ".markdown") return "markdown";
+  if (ext === ".csv") return "csv";
+  return null;
+}
+
+function formatReport(report, format) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(report, null, 2) + "\n";
+    case "sarif":
+      return JSON.stringify(toSarif(report), null, 2) + "\n";
+    case "markdown":
+      return toMarkdown(report);
+    case "csv":
+      return toCsv(report);
+    default:
+      throw new Error(`不支持的报告格式: ${format}（可选 ${REPORT_FORMATS.join("|")}）`);
+  }
+}
+
+// SARIF 2.1.0：每个分类一条规则，路径相对 %SRCROOT%，供 GitHub code scanning 标注
+function toSarif(report) {
+  const categories = Object.keys(REPORT_CATEGORIES);
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: report.tool,
+            version: report.version,
+            informationUri: "https://github.com/whiteHaiyu/vue-prune",
+            rules: categories.map((key) => ({
+              id: `unused-${key}`,
+              name: key,
+              shortDescription: { text: REPORT_CATEGORIES[key].title },
+              defaultConfiguration: { level: "warning" },
+            })),
+          },
+        },
+        originalUriBaseIds: { "%SRCROOT%": { uri: pathToFileURL(report.root + path.sep).href } },
+        results: report.findings.map((f) => ({
+          ruleId: `unused-${f.category}`,
+          ruleIndex: categories.indexOf(f.category),
+          level: "warning",
+          message: { text: `${REPORT_CATEGORIES[f.category].title}: ${f.name ? `${f.name} @ ` : ""}${f.path}（${f.reason}）` },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: f.path.split(path.sep).join("/"), uriBaseId: "%SRCROOT%" },
+                ...(f.line ? { region: { startLine: f.line } } : {}),
+              },
+            },
+          ],
+          properties: { category: f.category, size: f.size },
+        })),
+      },
+    ],
+  };
+}
+
+function toMarkdown(report) {
+  const lines = ["# vue-prune 报告", "", `- 项目: \`${report.root}\``, `- 生成时间: ${report.generatedAt}`, ""];
+  lines.push("| 分类 | 数量 | 大小 |", "| --- | ---: | ---: |");
+  for (const key in REPORT_CATEGORIES) {
+    const s = report.summary[key];
+    lines.push(`| ${REPORT_CATEGORIES[key].title} | ${s.count} | ${formatBytes(s.size)} |`);
+  }
+  if (report.entries && report.entries.length > 0) {
+    lines.push("", `## 入口文件 (${report.entries.length})`, "");
+    for (const e of report.entries) lines.push(`- \`${e.path}\`（${e.source}）`);
+  }
+  if (report.clusters && report.clusters.length > 0) {
+    lines.push("", `## 死代码簇 (${report.clusters.length})`, "");
+    lines.push("| # | 目录 | 文件数 | 大小 | 来自存活代码的引用 | 文件 |", "| ---: | --- | ---: | ---: | ---: | --- |");
+    for (const c of report.clusters) {
+      const files = c.files.map((f) => `\`${f}\``).join("<br>");
+      lines.push(`| ${c.id} | \`${c.root || "."}\` | ${c.files.length} | ${formatBytes(c.size)} | ${c.inboundFromLive.length} | ${files} |`);
+    }
+  }
+  if (report.duplicates && report.duplicates.length > 0) {
+    lines.push("", `## 重复资源组 (${report.duplicates.length})`, "");
+    lines.push("| # | 保留 | 单份大小 | 浪费 | 副本（引用数） |", "| ---: | --- | ---: | ---: | --- |");
+    report.duplicates.forEach((g, i) => {
+      const copies = g.copies.map((c) => `\`${c.path}\` (${c.references})`).join("<br>");
+      lines.push(`| ${i + 1} | \`${g.keep}\` | ${formatBytes(g.size)} | ${formatBytes(g.wasted)} | ${copies} |`);
+    });
+  }
+  if (report.dynamic && report.dynamic.length > 0) {
+    lines.push("", `## 仅通过动态路径引用的文件 (${report.dynamic.length})`, "");
+    lines.push("| 路径 | 置信度 | 来源 |", "| --- | --- | --- |");
+    for (const d of report.dynamic) {
+      const via = d.via.map((v) => `\`${v.from}\`: \`${v.pattern}\``).join("<br>");
+      lines.push(`| \`${d.path}\` | ${d.confidence} | ${via} |`);
+    }
+  }
+  for (const key in REPORT_CATEGORIES) {
+    const items = report.findings.filter((f) => f.category === key);
+    if (items.length === 0) continue;
+    lines.push("", `## ${REPORT_CATEGORIES[key].title} (${items.length})`, "");
+    lines.push("| 路径 | 大小 | 原因 |", "| --- | ---: | --- |");
+    for (const f of items) {
+      const where = f.name ? `${f.path}:${f.line} ${f.name}` : f.path;
+      lines.push(`| \`${where}\` | ${formatBytes(f.size)} | ${f.reason} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function toCsv(report) {
+  const escape = (v) => {
+    const str = String(v);
+    return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  };
+  const rows = [["category", "path", "size", "reason", "export", "line"]];
+  for (const f of report.findings) rows.push([f.category, f.path, f.size, f.reason, f.name || "", f.line || ""]);
+  return rows.map((r) => r.map(escape).join(",")).join("\n") + "\n";
+}
+
+// 发现项排序方式
+const SORT_MODES = ["path", "size"];
+
+// 解析大小：数字按字节；支持 B/KB/MB/GB 后缀（1024 进制，大小写不敏感）；无法解析返回 null
+function parseSize(value) {
+  if (typeof value === "number") return value >= 0 ? value : null;
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?\s*$/i.exec(String(value));
+  if (!m) return null;
+  const unit = (m[2] || "b").toLowerCase()[0];
+  const factor = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[unit];
+  return Math.round(Number(m[1]) * factor);
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  let i = 0;
+  let n = bytes;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i += 1;
+  }
+  return `${i === 0 ? n : n.toFixed(1)} ${units[i]}`;
+}
+
+const GRAPH_FORMATS = ["dot", "mermaid", "json"];
+// 可达/不可达节点配色
+const GRAPH_COLORS = { reachable: "#c8e6c9", unreachable: "#ffcdd2" };
+
+function inferGraphFormat(file) {
+  const ext = path.extname(file || "").toLowerCase();
+  if (ext === ".dot" || ext === ".gv") return "dot";
+  if (ext === ".mmd" || ext === ".mermaid" || ext === ".md" || ext === ".markdown") return "mermaid";
+  if (ext === ".json") return "json";
+  return null;
+}
+
+function formatGraph(view, format) {
+  const toPosix = (p) => p.split(path.sep).join("/");
+  if (format === "json") {
+    return JSON.stringify({
+      nodes: view.nodes.map((n) => ({ ...n, id: toPosix(n.id) })),
+      edges: view.edges.map((e) => ({ from: toPosix(e.from), to: toPosix(e.to), kind: e.kind })),
+    }, null, 2) + "\n";
+  }
+  const ids = new Map(view.nodes.map((n, i) => [n.id, `n${i}`]));
+  if (format === "dot") {
+    const lines = ["digraph vuePrune {", "  rankdir=LR;", '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'];
+    for (const n of view.nodes) {
+      const color = n.reachable ? GRAPH_COLORS.reachable : GRAPH_COLORS.unreachable;
+      lines.push(`  ${ids.get(n.id)} [label="${toPosix(n.id).replace(/"/g, '\\"')}", fillcolor="${color}"];`);
+    }
+    for (const e of view.edges) {
+      lines.push(`  ${ids.get(e.from)} -> ${ids.get(e.to)}${e.kind === "runtime" ? "" : " [style=dashed]"};`);
+    }
+    lines.push("}");
+    return lines.join("\n") + "\n";
+  }
+  if (format === "mermaid") {
+    const lines = ["graph LR"];
+    for (const n of view.nodes) lines.push(`  ${ids.get(n.id)}["${toPosix(n.id).replace(/"/g, "#quot;")}"]`);
+    for (const e of view.edges) lines.push(`  ${ids.get(e.from)} ${e.kind === "runtime" ? "-->" : "-.->"} ${ids.get(e.to)}`);
+    lines.push(`  classDef reachable fill:${GRAPH_COLORS.reachable}`);
+    lines.push(`  classDef unreachable fill:${GRAPH_COLORS.unreachable}`);
+    const reachableIds = view.nodes.filter((n) => n.reachable).map((n) => ids.get(n.id));
+    const unreachableIds = view.nodes.filter((n) => !n.reachable).map((n) => ids.get(n.id));
+    if (reachableIds.length) lines.push(`  class ${reachableIds.join(",")} reachable`);
+    if (unreachableIds.length) lines.push(`  class ${unreachableIds.join(",")} unreachable`);
+    return lines.join("\n") + "\n";
+  }
+  throw new Error(`不支持的依赖图格式: ${format}（可选 ${GRAPH_FORMATS.join("|")}）`);
+}
+
+// CI 门禁默认计入的分类（空目录不计入）
+const DEFAULT_FAIL_ON = ["vue", "assets", "code"];
+const DEFAULT_BASELINE_FILE = ".vue-prune-baseline.json";
+
+function findingKey(f) {
+  const key = `${f.category}:${f.path.split(path.sep).join("/")}`;
+  return f.name ? `${key}#${f.name}` : key;
+}
+
+// 读取基线文件，返回已知发现项的 key 集合
+function loadBaseline(file) {
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  const items = Array.isArray(json) ? json : json.findings || [];
+  return new Set(items.map(findingKey));
+}
+
+function writeBaseline(file, findings) {
+  const items = findings
+    .map((f) => {
+      const item = { category: f.category, path: f.path.split(path.sep).join("/") };
+      if (f.name) item.name = f.name;
+      return item;
+    })
+    .sort((a, b) => findingKey(a).localeCompare(findingKey(b)));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: 1, generatedAt: new Date().toISOString(), findings: items }, null, 2) + "\n");
+}
+
+// CI 门禁：只统计 failOn 分类，存在基线时只统计基线外的新发现；超过 maxUnused 即失败
+function evaluateCiGate(findings, { failOn = DEFAULT_FAIL_ON, maxUnused = 0, baseline = null } = {}) {
+  const counted = findings.filter((f) => failOn.includes(f.category));
+  const fresh = baseline ? counted.filter((f) => !baseline.has(findingKey(f))) : counted;
+  return { counted: fresh, failed: fresh.length > maxUnused };
+}
+
+// 按 Node 的 package.json exports 规则取子路径目标（条件导出优先源码/ESM）
+function resolvePackageExports(exports, subpath) {
+  if (!exports) return null;
+  const pick = (value) => {
+    if (typeof value === "string") return value;
+    if (Array.isArray(value)) {
+      for (const v of value) {
+        const r = pick(v);
+        if (r) return r;
+      }
+      return null;
+    }
+    if (value && typeof value === "object") {
+      for (const cond of ["source", "development", "import", "module", "browser", "default", "require", "node"]) {
+        if (cond in value) {
+          const r = pick(value[cond]);
+          if (r) return r;
+        }
+      }
+      for (const key in value) {
+        const r = pick(value[key]);
+        if (r) return r;
+      }
+    }
+    return null;
+  };
+  if (typeof exports === "string" || Array.isArray(exports)) {
+    return subpath === "." ? pick(exports) : null;
+  }
+  const keys = Object.keys(exports);
+  if (!keys.some((k) => k.startsWith("."))) {
+    return subpath === "." ? pick(exports) : null;
+  }
+  if (subpath in exports) return pick(exports[subpath]);
+  for (const key of keys) {
+    const star = key.indexOf("*");
+    if (star === -1) continue;
+    const before = key.slice(0, star);
+    const after = key.slice(star + 1);
+    if (subpath.startsWith(before) && subpath.endsWith(after) && subpath.length >= before.length + after.length) {
+      const target = pick(exports[key]);
+      const matched = subpath.slice(before.length, subpath.length - after.length);
+      if (target) return target.split("*").join(matched);
+    }
+  }
+  return null;
+}
+
+// kebab-case / snake_case / 普通文件名转 PascalCase（已是 PascalCase 的保持不变）
+function toPascalCase(name) {
+  return String(name)
+    .split(/[-_\s.]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("");
+}
+
+function toCamelCase(name) {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+// 取配置文本中 `key: <值>` 的值：对象/数组按括号配对截取，其余取到行尾或逗号
+function extractConfigValue(content, key) {
+  const re = new RegExp(`(?:^|[\\s{,])['"]?${key}['"]?\\s*:\\s*`, "g");
+  const values = [];
+  let m;
+  while ((m = re.exec(content)) !== null) {
+    const start = m.index + m[0].length;
+    const open = content[start];
+    if (open === "{" || open === "[") {
+      const close = open === "{" ? "}" : "]";
+      let depth = 0;
+      for (let i = start; i < content.length; i++) {
+        if (content[i] === open) depth += 1;
+        else if (content[i] === close) depth -= 1;
+        if (depth === 0) {
+          values.push(content.slice(start, i + 1));
+          break;
+        }
+      }
+    } else {
+      // 可能是 resolve(__dirname, 'a', 'b.html') 这类调用，按括号配对截取
+      let depth = 0;
+      let i = start;
+      for (; i < content.length; i++) {
+        const ch = content[i];
+        if (ch === "(") depth += 1;
+        else if (ch === ")") depth -= 1;
+        if (depth < 0 || (depth === 0 && (ch === "," || ch === "\n" || ch === "}"))) break;
+      }
+      values.push(content.slice(start, i));
     }
+  }
+  return values.join("\n");
+}
 
-    if (unusedAssets.length > 0) {
-      console.log("\n📝 未使用的静态资源文件列表:");
-      unusedAssets.forEach((file, index) => {
-        console.log(`${index + 1}. ${file}`);
-      });
+// 提取配置值中的路径字面量：resolve/join(__dirname, 'a', 'b') 拼接为 a/b；new URL('./x', import.meta.url) 取 ./x
+function extractPathLiterals(text) {
+  const results = [];
+  if (!text) return results;
+  const callRe = /\b(?:path\.)?(?:resolve|join)\(([^()]*)\)/g;
+  const strRe = /['"`]([^'"`\n]+)['"`]/g;
+  let m;
+  const rest = text.replace(callRe, (_, args) => {
+    const parts = [];
+    let s;
+    strRe.lastIndex = 0;
+    while ((s = strRe.exec(args)) !== null) parts.push(s[1]);
+    if (parts.length > 0) results.push(path.posix.join(...parts));
+    return "";
+  });
+  strRe.lastIndex = 0;
+  while ((m = strRe.exec(rest)) !== null) {
+    // 跳过对象键名（'main': ...）
+    if (/^\s*:/.test(rest.slice(m.index + m[0].length))) continue;
+    results.push(m[1]);
+  }
+  return results.filter((p) => /[./]/.test(p));
+}
+
+// 平铺翻译消息为点分键：{ a: { b: 'x' } } -> { 'a.b': 'x' }；数组与非对象值视为叶子
+function flattenMessages(obj, prefix = "", out = {}) {
+  for (const key in obj) {
+    const value = obj[key];
+    const full = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) flattenMessages(value, full, out);
+    else out[full] = value;
+  }
+  return out;
+}
+
+// 极简 YAML：仅支持按缩进嵌套的 key: value 映射与 | / > 块标量（翻译文件的常见写法），忽略注释与列表
+function parseSimpleYaml(text) {
+  const root = {};
+  const stack = [{ indent: -1, obj: root }];
+  // 进行中的块标量：其后缩进更深的行（含空行）都是值的一部分
+  let block = null;
+  const endBlock = () => {
+    const lines = block.lines.slice();
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+    const strip = Math.min(...lines.filter((l) => l.trim()).map((l) => /^\s*/.exec(l)[0].length));
+    const body = lines.map((l) => l.slice(Number.isFinite(strip) ? strip : 0));
+    // > 折叠：相邻行以空格相连，空行保留为换行
+    block.parent[block.key] = block.folded
+      ? body.reduce((acc, l) => (!l.trim() ? acc + "\n" : acc && !acc.endsWith("\n") ? `${acc} ${l}` : acc + l), "")
+      : body.join("\n");
+    block = null;
+  };
+  for (const raw of text.split(/\r?\n/)) {
+    if (block) {
+      if (!raw.trim() || /^\s*/.exec(raw)[0].length > block.indent) {
+        block.lines.push(raw);
+        continue;
+      }
+      endBlock();
+    }
+    const line = stripYamlComment(raw);
+    if (!line.trim() || line.trim().startsWith("- ")) continue;
+    const m = /^(\s*)(['"]?)([^'":]+)\2\s*:\s*(.*)$/.exec(line);
+    if (!m) continue;
+    const indent = m[1].length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].obj;
+    const key = m[3].trim();
+    const value = m[4].trim();
+    if (/^[|>][-+0-9]*$/.test(value)) {
+      block = { indent, key, parent, folded: value.startsWith(">"), lines: [] };
+    } else if (value === "") {
+      parent[key] = {};
+      stack.push({ indent, obj: parent[key] });
+    } else {
+      parent[key] = value.replace(/^(['"])(.*)\1$/, "$2");
+    }
+  }
+  if (block) endBlock();
+  // 没有子项的 key: 还原为空字符串
+  const fix = (obj) => {
+    for (const key in obj) {
+      if (obj[key] && typeof obj[key] === "object") {
+        if (Object.keys(obj[key]).length === 0) obj[key] = "";
+        else fix(obj[key]);
+      }
+    }
+    return obj;
+  };
+  return fix(root);
+}
+
+// 去掉 YAML 行尾注释：# 须位于行首或空白之后，且不在引号内
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === "\\" && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+// 解析 JS/TS 模块中 export default / module.exports 的对象字面量（只取字符串、嵌套对象，其余表达式记为原文）
+function parseObjectModule(content) {
+  const m = /\bexport\s+default\s+(?:\w+\s*\(\s*)?|\bmodule\.exports\s*=\s*(?:\w+\s*\(\s*)?/.exec(content);
+  if (!m) return null;
+  const start = content.indexOf("{", m.index + m[0].length - 1);
+  if (start === -1 || content.slice(m.index + m[0].length, start).trim()) return null;
+  let i = start;
+  const skip = () => {
+    for (;;) {
+      while (i < content.length && /\s/.test(content[i])) i++;
+      if (content.startsWith("//", i)) {
+        const end = content.indexOf("\n", i);
+        i = end === -1 ? content.length : end;
+      } else if (content.startsWith("/*", i)) {
+        const end = content.indexOf("*/", i + 2);
+        i = end === -1 ? content.length : end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+  const readString = () => {
+    const quote = content[i++];
+    let value = "";
+    while (i < content.length && content[i] !== quote) {
+      if (content[i] === "\\") i++;
+      value += content[i++];
+    }
+    i++;
+    return value;
+  };
+  const readRaw = () => {
+    const from = i;
+    let depth = 0;
+    while (i < content.length) {
+      const ch = content[i];
+      if ("([{".includes(ch)) depth++;
+      else if (")]}".includes(ch)) {
+        if (depth === 0) break;
+        depth--;
+      } else if (ch === "," && depth === 0) break;
+      else if (ch === "'" || ch === '"' || ch === "`") {
+        readString();
+        continue;
+      }
+      i++;
+    }
+    return content.slice(from, i).trim();
+  };
+  const readValue = () => {
+    skip();
+    const ch = content[i];
+    if (ch === "'" || ch === '"' || ch === "`") return readString();
+    if (ch === "{") return readObject();
+    return readRaw();
+  };
+  const readObject = () => {
+    const obj = {};
+    i++;
+    for (;;) {
+      skip();
+      if (i >= content.length || content[i] === "}") {
+        i++;
+        return obj;
+      }
+      let key;
+      if (content[i] === "'" || content[i] === '"' || content[i] === "`") {
+        key = readString();
+      } else {
+        const km = /^(?:\.\.\.)?[\w$]+|^\[[^\]]*\]/.exec(content.slice(i));
+        if (!km) {
+          readRaw();
+        } else {
+          key = km[0].startsWith("...") || km[0].startsWith("[") ? null : km[0];
+          i += km[0].length;
+        }
+      }
+      skip();
+      if (key != null && content[i] === ":") {
+        i++;
+        obj[key] = readValue();
+      } else if (content[i] !== "," && content[i] !== "}") {
+        // 方法或其它写法，跳到下一个成员
+        readRaw();
+      }
+      skip();
+      if (content[i] === ",") i++;
+    }
+  };
+  try {
+    return readObject();
+  } catch (_) {
+    return null;
+  }
+}
+
+// 按键路径逐段定位翻译键所在行（找不到时返回 1）
+function lineOfMessageKey(content, key) {
+  let pos = 0;
+  for (const segment of key.split(".")) {
+    const escaped = segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const re = new RegExp(`(^|[\\s{,'"])${escaped}['"]?\\s*:`, "g");
+    re.lastIndex = pos;
+    const m = re.exec(content);
+    if (!m) return 1;
+    pos = m.index + m[0].length;
+  }
+  return content.slice(0, pos).split("\n").length;
+}
+
+// 拆分 SFC 顶层块：template 取首个 <template> 至最后一个 </template>（兼容嵌套的 <template #slot>），
+// script/style 按出现顺序收集；start 为块内容在文件中的偏移，HTML 注释替换为等长空白以保持偏移与行号
+function splitSfcBlocks(content) {
+  const source = content.replace(/<!--[\s\S]*?-->/g, (c) => c.replace(/[^\n]/g, " "));
+  const blocks = { template: null, scripts: [], styles: [] };
+  const open = /<template\b([^>]*)>/.exec(source);
+  const close = source.lastIndexOf("</template>");
+  if (open && close > open.index) {
+    const start = open.index + open[0].length;
+    blocks.template = { attrs: open[1], start, content: source.slice(start, close) };
+  }
+  const re = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let m;
+  while ((m = re.exec(source)) !== null) {
+    if (blocks.template && m.index > blocks.template.start && m.index < close) continue;
+    const block = { attrs: m[2], start: m.index + m[0].indexOf(">") + 1, content: m[3] };
+    if (m[1] === "script") blocks.scripts.push({ ...block, setup: /\bsetup\b/.test(m[2]) });
+    else blocks.styles.push(block);
+  }
+  return blocks;
+}
+
+// 返回与 text[index] 处左括号配对的右括号下标（跳过字符串与注释）；以 < 开头时按泛型尖括号配对；不配对返回 -1
+function matchBracket(text, index) {
+  const pairs = { "{": "}", "[": "]", "(": ")" };
+  const angle = text[index] === "<";
+  if (angle) pairs["<"] = ">";
+  const stack = [];
+  for (let i = index; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "'" || ch === '"' || ch === "`") {
+      for (i++; i < text.length && text[i] !== ch; i++) {
+        if (text[i] === "\\") i++;
+      }
+      continue;
+    }
+    if (ch === "/" && text[i + 1] === "/") {
+      i = text.indexOf("\n", i);
+      if (i === -1) return -1;
+      continue;
+    }
+    if (ch === "/" && text[i + 1] === "*") {
+      i = text.indexOf("*/", i + 2);
+      if (i === -1) return -1;
+      i += 1;
+      continue;
+    }
+    if (ch === ">" && (!angle || text[i - 1] === "=")) continue;
+    if (pairs[ch]) {
+      stack.push(pairs[ch]);
+    } else if (ch === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// 对象字面量或类型字面量（text 含首尾花括号）的顶层成员：[{ name, index, value }]，index 为成员名在 text 中的偏移；
+// 成员以 , 或 ; 分隔，类型字面量中省略分号的换行也视为分隔；简写成员的 value 即成员名
+function topLevelMembers(text) {
+  const members = [];
+  const memberRe = /(?:readonly\s+)?(?:(['"])([^'"\n]+)\1|([\w$]+))\s*\??\s*(:|\(|(?=[,;}=]))/y;
+  const nextMemberRe = /\s*(?:readonly\s+)?(?:['"][^'"\n]+['"]|[\w$]+)\s*\??\s*:/y;
+  const end = text.length - 1;
+  let current = null;
+  let expectMember = true;
+  const finish = (i) => {
+    if (current) current.value = text.slice(current.valueStart, i).trim();
+    current = null;
+  };
+  for (let i = 1; i < end; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      // 类型字面量：值之后换行，且下一行形如 name: / name?:，视为新成员
+      if (ch === "\n" && current && text.slice(current.valueStart, i).trim()) {
+        nextMemberRe.lastIndex = i;
+        if (nextMemberRe.test(text)) {
+          finish(i);
+          expectMember = true;
+        }
+      }
+      continue;
+    }
+    if (ch === "/" && (text[i + 1] === "/" || text[i + 1] === "*")) {
+      const close = text[i + 1] === "/" ? text.indexOf("\n", i) : text.indexOf("*/", i) + 1;
+      i = close <= 0 ? end : close;
+      continue;
+    }
+    if (expectMember) {
+      expectMember = false;
+      memberRe.lastIndex = i;
+      const m = memberRe.exec(text);
+      if (!m) continue;
+      const name = m[2] || m[3];
+      const member = { name, index: m[1] ? i + 1 : i, value: name };
+      members.push(member);
+      if (m[4] === ":") {
+        current = member;
+        member.valueStart = i + m[0].length;
+      }
+      i += m[0].length - 1;
+      if (m[4] === "(") i -= 1;
+      continue;
+    }
+    if (ch === "," || ch === ";") {
+      finish(i);
+      expectMember = true;
+    } else if ("{[(".includes(ch) || ch === "'" || ch === '"' || ch === "`" || (ch === "<" && /[\w$]/.test(text[i - 1]))) {
+      const close = "'\"`".includes(ch) ? matchQuote(text, i) : matchBracket(text, i);
+      if (close === -1) break;
+      i = close;
+    }
+  }
+  finish(end);
+  for (const member of members) delete member.valueStart;
+  return members;
+}
+
+// 返回与 text[index] 处引号配对的结束引号下标；不配对返回 -1
+function matchQuote(text, index) {
+  const quote = text[index];
+  for (let i = index + 1; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === quote) return i;
+  }
+  return -1;
+}
+
+// 字符串字面量列表：['a', "b"] -> [{ name, index }]
+function stringLiterals(text) {
+  const result = [];
+  const re = /(['"`])((?:\\.|(?!\1)[^\\\n])+)\1/g;
+  let m;
+  while ((m = re.exec(text)) !== null) result.push({ name: m[2], index: m.index + 1 });
+  return result;
+}
+
+// 脚本中的 import 语句（不含 import type）：[{ spec, locals, start, end }]
+function parseImportStatements(script) {
+  const result = [];
+  const re = /\bimport\s+(?!type\s)([\w$*\s{},]+?)\s*from\s*(['"])([^'"\n]+)\2/g;
+  let m;
+  while ((m = re.exec(script)) !== null) {
+    const locals = [];
+    const braces = /\{([^}]*)\}/.exec(m[1]);
+    if (braces) {
+      for (const part of braces[1].split(",")) {
+        const local = part.trim().replace(/^type\s+/, "").split(/\s+as\s+/).pop();
+        if (/^[\w$]+$/.test(local) && !/^type\s/.test(part.trim())) locals.push(local);
+      }
+    }
+    for (const part of m[1].replace(/\{[^}]*\}/, "").split(",")) {
+      const local = part.trim().replace(/^\*\s*as\s+/, "");
+      if (/^[\w$]+$/.test(local)) locals.push(local);
+    }
+    result.push({ spec: m[3], locals, start: m.index, end: m.index + m[0].length });
+  }
+  return result;
+}
+
+// 在 text 中查找独立标识符（不作为属性访问 a.name 的一部分）
+function hasIdentifier(text, name) {
+  const escaped = name.replace(/[$]/g, "\\$");
+  return new RegExp(`(?<![\\w$.])${escaped}(?![\\w$])`).test(text);
+}
+
+// 将 text 的 [start, end) 区间替换为等长空白（保留换行）
+function blankRange(text, start, end) {
+  return text.slice(0, start) + text.slice(start, end).replace(/[^\n]/g, " ") + text.slice(end);
+}
+
+// 其后的 / 表示正则字面量而非除号的关键字
+const REGEX_PRECEDING_KEYWORDS = new Set([
+  "return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await",
+]);
+
+// 轻量 JS/TS/JSX 词法切分：跳过注释，识别字符串、模板字符串（${} 内继续切分）与正则字面量。
+// token 为 { type: 'name'|'number'|'string'|'template'|'regex'|'punct', value, start, end }；
+// 模板字符串按 ${} 切成多段，head/tail 标记首段与末段（无插值时两者皆为 true）。
+// 跨行未闭合的引号按普通符号处理，避免 JSX 文本中的撇号吞掉后续代码
+function tokenizeScript(code) {
+  const tokens = [];
+  const comments = [];
+  const templateDepths = [];
+  let braceDepth = 0;
+  let i = 0;
+  const push = (token) => tokens.push(token);
+  const regexAllowed = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === "name") return REGEX_PRECEDING_KEYWORDS.has(prev.value);
+    if (prev.type === "punct") return !")]}".includes(prev.value);
+    return false;
+  };
+  const readTemplate = (start, head) => {
+    let value = "";
+    while (i < code.length) {
+      const ch = code[i];
+      if (ch === "\\") {
+        value += code.slice(i, i + 2);
+        i += 2;
+      } else if (ch === "`") {
+        i += 1;
+        push({ type: "template", value, start, end: i, head, tail: true });
+        return;
+      } else if (ch === "$" && code[i + 1] === "{") {
+        i += 2;
+        push({ type: "template", value, start, end: i, head, tail: false });
+        templateDepths.push(braceDepth);
+        braceDepth += 1;
+        return;
+      } else {
+        value += ch;
+        i += 1;
+      }
+    }
+    push({ type: "template", value, start, end: i, head, tail: true });
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+    const start = i;
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (ch === "/" && code[i + 1] === "/") {
+      const end = code.indexOf("\n", i);
+      i = end === -1 ? code.length : end;
+      comments.push([start, i]);
+    } else if (ch === "/" && code[i + 1] === "*") {
+      const end = code.indexOf("*/", i + 2);
+      i = end === -1 ? code.length : end + 2;
+      comments.push([start, i]);
+    } else if (ch === "'" || ch === '"') {
+      let j = i + 1;
+      let value = "";
+      while (j < code.length && code[j] !== ch && code[j] !== "\n") {
+        if (code[j] === "\\") j += 1;
+        value += code[j];
+        j += 1;
+      }
+      if (code[j] === ch) {
+        i = j + 1;
+        push({ type: "string", value, start, end: i });
+      } else {
+        i += 1;
+        push({ type: "punct", value: ch, start, end: i });
+      }
+    } else if (ch === "`") {
+      i += 1;
+      readTemplate(start, true);
+    } else if (ch === "/" && regexAllowed()) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < code.length && code[j] !== "\n" && (inClass || code[j] !== "/")) {
+        if (code[j] === "\\") j += 1;
+        else if (code[j] === "[") inClass = true;
+        else if (code[j] === "]") inClass = false;
+        j += 1;
+      }
+      if (code[j] === "/") {
+        j += 1;
+        while (/[a-z]/i.test(code[j] || "")) j += 1;
+        i = j;
+        push({ type: "regex", value: code.slice(start, i), start, end: i });
+      } else {
+        i += 1;
+        push({ type: "punct", value: ch, start, end: i });
+      }
+    } else if (/[A-Za-z_$\u0080-\uffff]/.test(ch)) {
+      const m = /[\w$\u0080-\uffff]+/y;
+      m.lastIndex = i;
+      i += m.exec(code)[0].length;
+      push({ type: "name", value: code.slice(start, i), start, end: i });
+    } else if (/\d/.test(ch)) {
+      const m = /[\w.]+/y;
+      m.lastIndex = i;
+      i += m.exec(code)[0].length;
+      push({ type: "number", value: code.slice(start, i), start, end: i });
+    } else if (ch === "}" && templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === braceDepth - 1) {
+      templateDepths.pop();
+      braceDepth -= 1;
+      i += 1;
+      readTemplate(start, false);
+    } else {
+      if (ch === "{") braceDepth += 1;
+      else if (ch === "}") braceDepth = Math.max(0, braceDepth - 1);
+      i += 1;
+      push({ type: "punct", value: ch, start, end: i });
+    }
+  }
+  return { tokens, comments };
+}
+
+// 从脚本代码中提取模块请求：[{ spec, kind, typeOnly, start }]，kind 为 import|export|require|dynamic|import-equals|declare-module。
+// 覆盖 import x from / import 'x' / import type / export { x } from / export * from / import x = require('x') / require('x') / import('x')
+function extractModuleRequests(code) {
+  const { tokens } = tokenizeScript(code);
+  const requests = [];
+  const isName = (t, value) => t && t.type === "name" && (value === undefined || t.value === value);
+  const isPunct = (t, value) => t && t.type === "punct" && t.value === value;
+  // 静态字符串：普通字符串或无插值的模板字符串
+  const isStatic = (t) => t && (t.type === "string" || (t.type === "template" && t.head && t.tail));
+  // 读取花括号内的绑定列表，返回 { end, count, typeCount }
+  const readSpecifiers = (k) => {
+    let count = 0;
+    let typeCount = 0;
+    let expectSpecifier = true;
+    for (let j = k + 1; j < tokens.length; j++) {
+      const t = tokens[j];
+      if (isPunct(t, "}")) return { end: j, count, typeCount };
+      if (isPunct(t, ",")) {
+        expectSpecifier = true;
+      } else if (expectSpecifier && (t.type === "name" || t.type === "string")) {
+        expectSpecifier = false;
+        count += 1;
+        const next = tokens[j + 1];
+        if (isName(t, "type") && next && (next.type === "name" || next.type === "string") && !isName(next, "as")) typeCount += 1;
+      } else if (t.type !== "name" && t.type !== "string") {
+        return null;
+      }
+    }
+    return null;
+  };
+  const readFrom = (j) => (isName(tokens[j], "from") && isStatic(tokens[j + 1]) ? tokens[j + 1] : null);
+
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.type !== "name" || isPunct(tokens[k - 1], ".")) continue;
+    const next = tokens[k + 1];
+
+    if (t.value === "import") {
+      if (isStatic(next)) {
+        requests.push({ spec: next.value, kind: "import", typeOnly: false, start: t.start });
+        continue;
+      }
+      if (isPunct(next, "(")) {
+        if (isStatic(tokens[k + 2])) {
+          // typeof import('./x') 只出现在类型位置
+          requests.push({ spec: tokens[k + 2].value, kind: "dynamic", typeOnly: isName(tokens[k - 1], "typeof"), start: t.start });
+        }
+        continue;
+      }
+      if (!next || isPunct(next, ".")) continue;
+      let j = k + 1;
+      let typeOnly = false;
+      if (isName(tokens[j], "type") && tokens[j + 1] && !isName(tokens[j + 1], "from") && !isPunct(tokens[j + 1], ",") && !isPunct(tokens[j + 1], "=")) {
+        typeOnly = true;
+        j += 1;
+      }
+      let valueBindings = 0;
+      let namedCount = 0;
+      let namedTypes = 0;
+      for (; j < tokens.length && j < k + 64; j++) {
+        const u = tokens[j];
+        const source = readFrom(j);
+        if (source) {
+          const allTypes = valueBindings === 0 && namedCount > 0 && namedTypes === namedCount;
+          requests.push({ spec: source.value, kind: "import", typeOnly: typeOnly || allTypes, start: t.start });
+          k = j + 1;
+          break;
+        }
+        if (isPunct(u, "=")) {
+          // TS: import x = require('x')
+          if (isName(tokens[j + 1], "require") && isPunct(tokens[j + 2], "(") && isStatic(tokens[j + 3])) {
+            requests.push({ spec: tokens[j + 3].value, kind: "import-equals", typeOnly, start: t.start });
+            k = j + 3;
+          }
+          break;
+        }
+        if (isPunct(u, "{")) {
+          const list = readSpecifiers(j);
+          if (!list) break;
+          namedCount += list.count;
+          namedTypes += list.typeCount;
+          j = list.end;
+        } else if (u.type === "name") {
+          if (!isName(u, "as")) valueBindings += 1;
+        } else if (!isPunct(u, ",") && !isPunct(u, "*")) {
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (t.value === "export") {
+      let j = k + 1;
+      let typeOnly = false;
+      if (isName(tokens[j], "type") && (isPunct(tokens[j + 1], "{") || isPunct(tokens[j + 1], "*"))) {
+        typeOnly = true;
+        j += 1;
+      }
+      if (isPunct(tokens[j], "*")) {
+        j += 1;
+        if (isName(tokens[j], "as")) j += 2;
+      } else if (isPunct(tokens[j], "{")) {
+        const list = readSpecifiers(j);
+        if (!list) continue;
+        if (list.count > 0 && list.typeCount === list.count) typeOnly = true;
+        j = list.end + 1;
+      } else {
+        continue;
+      }
+      const source = readFrom(j);
+      if (source) {
+        requests.push({ spec: source.value, kind: "export", typeOnly, start: t.start });
+        k = j + 1;
+      }
+      continue;
+    }
+
+    // .d.ts 中的 declare module './X.vue'（通配与包名由调用方忽略）
+    if (t.value === "declare" && isName(next, "module") && isStatic(tokens[k + 2])) {
+      requests.push({ spec: tokens[k + 2].value, kind: "declare-module", typeOnly: true, start: t.start });
+      continue;
+    }
+
+    if (t.value === "require" && isPunct(next, "(") && isStatic(tokens[k + 2])) {
+      const close = tokens[k + 3];
+      if (isPunct(close, ")") || isPunct(close, ",")) {
+        requests.push({ spec: tokens[k + 2].value, kind: "require", typeOnly: false, start: t.start });
+      }
+    }
+  }
+  return requests;
+}
+
+// 模板中的插值与指令/绑定表达式：[{ code, start }]，start 为相对模板文本的偏移
+function templateExpressions(template) {
+  const result = [];
+  const re = /\{\{([\s\S]*?)\}\}|\s(?:[:@#]|v-)[^\s=>/]*\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(template)) !== null) {
+    if (m[1] !== undefined) {
+      result.push({ code: m[1], start: m.index + 2 });
     } else {
-      console.log("\n🎉 恭喜！没有找到未使用的静态资源文件。");
+      const code = m[2] !== undefined ? m[2] : m[3];
+      result.push({ code, start: m.index + m[0].length - 1 - code.length });
+    }
+  }
+  return result;
+}
+
+// 需要按脚本切分的片段：[{ code, start }]。JS/TS 为整个文件；.vue/.html 为各 <script> 块与模板表达式
+function scriptSegmentsOf(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext !== ".vue" && ext !== ".html") return [{ code: content, start: 0 }];
+  const blocks = splitSfcBlocks(content);
+  const segments = blocks.scripts.map((block) => ({ code: block.content, start: block.start }));
+  if (blocks.template) {
+    for (const expr of templateExpressions(blocks.template.content)) {
+      segments.push({ code: expr.code, start: blocks.template.start + expr.start });
     }
+  }
+  return segments;
+}
+
+// 样式代码中的注释：/* */ 与（预处理器的）行首或空白后的 //
+function styleCommentRanges(text, lineComments) {
+  const ranges = [];
+  const re = lineComments ? /\/\*[\s\S]*?\*\/|(^|[ \t])\/\/[^\n]*/gm : /\/\*[\s\S]*?\*\//g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const start = m.index + (m[1] ? m[1].length : 0);
+    ranges.push([start, m.index + m[0].length]);
+  }
+  return ranges;
+}
 
-    if (unusedCodeFiles.length > 0) {
-      console.log("\n📝 未使用的代码文件列表 (JS/TS/JSX/TSX/MJS/CJS):");
-      unusedCodeFiles.forEach((file, index) => {
-        console.log(`${index + 1}. ${file}`);
-      });
-    } else {
-      console.log("\n🎉 恭喜！没有找到未使用的代码文件。");
+// 将注释替换为等长空白（保留偏移与换行）：脚本注释按词法识别，.vue/.html 另去除 HTML 注释与 <style> 块中的注释；
+// isStyle 为样式文件（.css 只有块注释，预处理器另有 // 行注释）
+function stripComments(content, filePath, isStyle = false) {
+  const ext = path.extname(filePath).toLowerCase();
+  let text = content;
+  const blank = (start, end) => {
+    text = blankRange(text, start, end);
+  };
+  if (isStyle) {
+    for (const [start, end] of styleCommentRanges(text, ext !== ".css")) blank(start, end);
+    return text;
+  }
+  if (ext === ".vue" || ext === ".html") {
+    text = text.replace(/<!--[\s\S]*?-->/g, (c) => c.replace(/[^\n]/g, " "));
+    for (const block of splitSfcBlocks(text).styles) {
+      const lineComments = /\blang\s*=\s*["']?(scss|sass|less|styl|stylus)/.test(block.attrs);
+      for (const [start, end] of styleCommentRanges(block.content, lineComments)) blank(block.start + start, block.start + end);
     }
+  }
+  for (const segment of scriptSegmentsOf(text, filePath)) {
+    for (const [start, end] of tokenizeScript(segment.code).comments) blank(segment.start + start, segment.start + end);
+  }
+  return text;
+}
 
-    if (this.emptyDirs.length > 0) {
-      console.log("\n📝 空目录列表:");
-      this.emptyDirs.forEach((dir, index) => {
-        console.log(`${index + 1}. ${dir}`);
-      });
-    } else {
-      console.log("\n🎉 恭喜！没有找到空目录。");
-    }
+// 一组相对路径的最长公共目录
+function commonDirOf(files) {
+  if (files.length === 0) return "";
+  let parts = path.dirname(files[0]).split(path.sep);
+  for (const file of files.slice(1)) {
+    const other = path.dirname(file).split(path.sep);
+    let i = 0;
+    while (i < parts.length && i < other.length && parts[i] === other[i]) i += 1;
+    parts = parts.slice(0, i);
+  }
+  const dir = parts.join("/");
+  return dir === "." ? "" : dir;
+}
 
-    return { unusedVueFiles: unusedFiles, unusedAssets, unusedCodeFiles, emptyDirs: this.emptyDirs };
+// 读取配置模块：.json 直接解析；.mjs 或 ESM 形式的 .js 走动态 import
+async function loadConfigModule(absPath) {
+  if (absPath.endsWith(".json")) {
+    return JSON.parse(fs.readFileSync(absPath, "utf8"));
   }
+  let mod;
+  if (absPath.endsWith(".mjs")) {
+    mod = await import(pathToFileURL(absPath).href);
+  } else {
+    try {
+      mod = require(absPath);
+    } catch (e) {
+      if (e.code !== "ERR_REQUIRE_ESM" && !(e instanceof SyntaxError && /import|export/.test(e.message))) throw e;
+      mod = await import(pathToFileURL(absPath).href);
+    }
+  }
+  return mod && mod.default !== undefined ? mod.default : mod;
 }
 
 function isSubPath(parent, candidate) {
@@ -1068,7 +5214,10 @@ function isSubPath(parent, candidate) {
   return candidateResolved === parentResolved || candidateResolved.startsWith(parentResolved + path.sep);
 }
 
-async function confirmAndOptionallyDelete(rootDir, sections) {
+// options.trash 为真时移入 .vue-prune-trash/<run-id>/ 而非直接删除；options.gitRm 为真时改用 git rm（options.force 允许删除未跟踪/已修改文件）
+async function confirmAndOptionallyDelete(rootDir, sections, options = {}) {
+  const trash = options.trash ? createTrashSession(rootDir) : null;
+  const git = options.gitRm ? createGitRemoval(rootDir, { force: options.force }) : null;
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
   const ask = (q) => new Promise((resolve) => rl.question(q, (a) => resolve(a)));
   try {
@@ -1077,34 +5226,239 @@ async function confirmAndOptionallyDelete(rootDir, sections) {
     const hasVue = sections.vue && sections.vue.length > 0;
     const hasAssets = sections.assets && sections.assets.length > 0;
     const hasCode = sections.code && sections.code.length > 0;
+    const hasStyles = sections.styles && sections.styles.length > 0;
     const hasDirs = sections.dirs && sections.dirs.length > 0;
+    const hasStaleTests = sections["stale-tests"] && sections["stale-tests"].length > 0;
 
-    if (!hasVue && !hasAssets && !hasCode && !hasDirs) return;
+    if (!hasVue && !hasAssets && !hasCode && !hasStyles && !hasDirs && !hasStaleTests) return;
 
-    console.log("🛡️ 删除为不可逆操作，建议先提交一次代码备份。");
+    if (trash) {
+      console.log(`🗃️ 文件将移入 ${path.relative(rootDir, trash.dir)}，可用 vue-prune restore ${trash.runId} 恢复。`);
+    } else if (git) {
+      console.log("🌿 将通过 git rm 删除并暂存，可用 git restore --staged --worktree <文件> 撤销。");
+    } else {
+      console.log("🛡️ 删除为不可逆操作，建议先提交一次代码备份（或使用 --trash 可恢复删除）。");
+    }
 
     if (hasVue) {
       const a = await ask(`是否删除未使用的 .vue 文件 (${sections.vue.length} 个)? [y/N] `);
-      if (yn(a)) deleteFilesSafely(rootDir, sections.vue);
+      if (yn(a)) deleteFilesSafely(rootDir, sections.vue, trash, git);
     }
     if (hasAssets) {
       const a = await ask(`是否删除未使用的静态资源 (${sections.assets.length} 个)? [y/N] `);
-      if (yn(a)) deleteFilesSafely(rootDir, sections.assets);
+      if (yn(a)) deleteFilesSafely(rootDir, sections.assets, trash, git);
     }
     if (hasCode) {
       const a = await ask(`是否删除未使用的代码文件 (${sections.code.length} 个)? [y/N] `);
-      if (yn(a)) deleteFilesSafely(rootDir, sections.code);
+      if (yn(a)) deleteFilesSafely(rootDir, sections.code, trash, git);
+    }
+    if (hasStyles) {
+      const a = await ask(`是否删除未使用的样式文件 (${sections.styles.length} 个)? [y/N] `);
+      if (yn(a)) deleteFilesSafely(rootDir, sections.styles, trash, git);
+    }
+    if (hasStaleTests) {
+      const a = await ask(`是否删除失效的测试/Stories 文件 (${sections["stale-tests"].length} 个)? [y/N] `);
+      if (yn(a)) deleteFilesSafely(rootDir, sections["stale-tests"], trash, git);
     }
     if (hasDirs) {
       const a = await ask(`是否删除空目录 (${sections.dirs.length} 个)? [y/N] `);
-      if (yn(a)) deleteDirsSafely(rootDir, sections.dirs);
+      if (yn(a)) deleteDirsSafely(rootDir, sections.dirs, trash);
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+// 逐项选择删除：先在选择器中勾选，再确认后只删除所选项
+async function pickAndOptionallyDelete(rootDir, sections, options = {}) {
+  const items = [];
+  for (const category of ["vue", "assets", "code", "styles", "stale-tests", "dirs"]) {
+    for (const rel of sections[category] || []) {
+      let size = 0;
+      if (category !== "dirs") {
+        try {
+          size = fs.statSync(path.join(rootDir, rel)).size;
+        } catch (_) {}
+      }
+      items.push({ category, path: rel, size });
     }
+  }
+  if (items.length === 0) return;
+
+  const selected = await pickFindingsInteractively(items, { rootDir, getReferrers: options.getReferrers });
+  if (selected.length === 0) {
+    console.log("👋 未选择任何文件，已取消删除。");
+    return;
+  }
+  const files = selected.filter((item) => item.category !== "dirs").map((item) => item.path);
+  const dirs = selected.filter((item) => item.category === "dirs").map((item) => item.path);
+  const total = selected.reduce((sum, item) => sum + item.size, 0);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (q) => new Promise((resolve) => rl.question(q, (a) => resolve(a)));
+  let answer;
+  try {
+    answer = await ask(`是否删除选中的 ${files.length} 个文件、${dirs.length} 个空目录 (${formatBytes(total)})? [y/N] `);
   } finally {
     rl.close();
   }
+  if (!/^y(es)?$/i.test((answer || "").trim())) return;
+
+  const trash = options.trash ? createTrashSession(rootDir) : null;
+  const git = options.gitRm ? createGitRemoval(rootDir, { force: options.force }) : null;
+  if (trash) {
+    console.log(`🗃️ 文件将移入 ${path.relative(rootDir, trash.dir)}，可用 vue-prune restore ${trash.runId} 恢复。`);
+  }
+  if (files.length > 0) deleteFilesSafely(rootDir, files, trash, git);
+  if (dirs.length > 0) deleteDirsSafely(rootDir, dirs, trash);
+}
+
+// TTY 原始模式下的选择器：按目录分组，空格勾选文件或整个目录，p 预览前几行，r 查看引用方，回车确认，q/Esc 取消
+function pickFindingsInteractively(items, { rootDir, getReferrers = () => [] }) {
+  const sorted = [...items].sort((a, b) =>
+    path.dirname(a.path).localeCompare(path.dirname(b.path)) || a.path.localeCompare(b.path));
+  const rows = [];
+  for (const item of sorted) {
+    const dir = path.dirname(item.path);
+    const last = rows.length ? rows[rows.length - 1] : null;
+    let group = last && (last.type === "dir" ? last : last.group);
+    if (!group || group.dir !== dir) {
+      group = { type: "dir", dir, items: [] };
+      rows.push(group);
+    }
+    group.items.push(item);
+    rows.push({ type: "item", item, group });
+  }
+
+  const selected = new Set();
+  let cursor = 0;
+  let offset = 0;
+  let overlay = null;
+  const out = process.stdout;
+
+  const groupState = (group) => {
+    const n = group.items.filter((i) => selected.has(i)).length;
+    return n === 0 ? " " : n === group.items.length ? "x" : "-";
+  };
+  const toggle = (row) => {
+    const targets = row.type === "dir" ? row.items : [row.item];
+    const allSelected = targets.every((i) => selected.has(i));
+    for (const i of targets) {
+      if (allSelected) selected.delete(i);
+      else selected.add(i);
+    }
+  };
+  const previewLines = (row) => {
+    if (row.type === "dir") {
+      return [`📁 ${row.dir}/`, ...row.items.map((i) => `  ${path.basename(i.path)}  ${formatBytes(i.size)}  [${i.category}]`)];
+    }
+    const { item } = row;
+    if (item.category === "dirs") return [`📁 ${item.path}/`, "（空目录）"];
+    if (item.category === "assets") return [`🖼️ ${item.path}`, `二进制/资源文件，${formatBytes(item.size)}`];
+    try {
+      const lines = fs.readFileSync(path.join(rootDir, item.path), "utf8").split(/\r?\n/).slice(0, 20);
+      return [`📄 ${item.path}`, "────────", ...lines];
+    } catch (e) {
+      return [`📄 ${item.path}`, `读取失败: ${e.message}`];
+    }
+  };
+  const referrerLines = (row) => {
+    const target = row.type === "dir" ? null : row.item.path;
+    if (!target) return ["请选择具体文件查看引用方"];
+    const refs = getReferrers(target);
+    if (refs.length === 0) return [`📭 ${target}`, "没有任何文件引用它"];
+    return [`📥 ${target} 的引用方 (${refs.length}):`, ...refs.map((r) => `  ${r}`)];
+  };
+
+  const render = () => {
+    const height = Math.max(5, (out.rows || 24) - 4);
+    const width = (out.columns || 80) - 1;
+    const lines = [];
+    lines.push("选择要删除的项  ↑↓ 移动  空格 勾选  a 全选  p 预览  r 引用方  回车 确认  q 取消");
+    if (overlay) {
+      lines.push(...overlay.slice(0, height), "", "（按任意键返回）");
+    } else {
+      if (cursor < offset) offset = cursor;
+      if (cursor >= offset + height) offset = cursor - height + 1;
+      for (let i = offset; i < Math.min(rows.length, offset + height); i++) {
+        const row = rows[i];
+        const pointer = i === cursor ? "❯" : " ";
+        if (row.type === "dir") {
+          const size = row.items.reduce((sum, it) => sum + it.size, 0);
+          lines.push(`${pointer} [${groupState(row)}] 📁 ${row.dir}/  (${row.items.length} 项, ${formatBytes(size)})`);
+        } else {
+          const mark = selected.has(row.item) ? "x" : " ";
+          lines.push(`${pointer}   [${mark}] ${path.basename(row.item.path)}  ${formatBytes(row.item.size)}  [${row.item.category}]`);
+        }
+      }
+      const total = Array.from(selected).reduce((sum, it) => sum + it.size, 0);
+      lines.push("", `已选 ${selected.size}/${items.length} 项，共 ${formatBytes(total)}`);
+    }
+    out.write("\x1b[2J\x1b[H" + lines.map((l) => (l.length > width ? l.slice(0, width) : l)).join("\n"));
+  };
+
+  return new Promise((resolve) => {
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    const finish = (result) => {
+      process.stdin.removeListener("keypress", onKey);
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      out.write("\x1b[2J\x1b[H");
+      resolve(result);
+    };
+    const onKey = (str, key = {}) => {
+      if (key.ctrl && key.name === "c") return finish([]);
+      if (overlay) {
+        overlay = null;
+        return render();
+      }
+      switch (key.name) {
+        case "up":
+        case "k":
+          cursor = Math.max(0, cursor - 1);
+          break;
+        case "down":
+        case "j":
+          cursor = Math.min(rows.length - 1, cursor + 1);
+          break;
+        case "pageup":
+          cursor = Math.max(0, cursor - 10);
+          break;
+        case "pagedown":
+          cursor = Math.min(rows.length - 1, cursor + 10);
+          break;
+        case "space":
+          toggle(rows[cursor]);
+          break;
+        case "a":
+          if (selected.size === items.length) selected.clear();
+          else items.forEach((i) => selected.add(i));
+          break;
+        case "p":
+          overlay = previewLines(rows[cursor]);
+          break;
+        case "r":
+          overlay = referrerLines(rows[cursor]);
+          break;
+        case "return":
+        case "enter":
+          return finish(sorted.filter((i) => selected.has(i)));
+        case "escape":
+        case "q":
+          return finish([]);
+        default:
+          return;
+      }
+      render();
+    };
+    process.stdin.on("keypress", onKey);
+    render();
+  });
 }
 
-function deleteFilesSafely(rootDir, relativeFiles) {
+function deleteFilesSafely(rootDir, relativeFiles, trash = null, git = null) {
   let deleted = 0;
   for (const rel of relativeFiles) {
     const abs = path.join(rootDir, rel);
@@ -1112,7 +5466,13 @@ function deleteFilesSafely(rootDir, relativeFiles) {
       if (!isSubPath(rootDir, abs)) continue;
       const st = fs.existsSync(abs) ? fs.statSync(abs) : null;
       if (!st || !st.isFile()) continue;
-      fs.unlinkSync(abs);
+      if (trash) {
+        moveFileToTrash(trash, rel);
+      } else if (git) {
+        gitRemoveFile(git, rel);
+      } else {
+        fs.unlinkSync(abs);
+      }
       deleted += 1;
       console.log(`🗑️ 已删除: ${rel}`);
     } catch (e) {
@@ -1122,7 +5482,7 @@ function deleteFilesSafely(rootDir, relativeFiles) {
   console.log(`✅ 删除完成，共删除 ${deleted} 个文件`);
 }
 
-function deleteDirsSafely(rootDir, relativeDirs) {
+function deleteDirsSafely(rootDir, relativeDirs, trash = null) {
   let deleted = 0;
   for (const rel of relativeDirs) {
     const abs = path.join(rootDir, rel);
@@ -1132,6 +5492,7 @@ function deleteDirsSafely(rootDir, relativeDirs) {
       const entries = fs.readdirSync(abs);
       if (entries.length === 0) {
         fs.rmdirSync(abs);
+        if (trash) recordTrashEntry(trash, { path: rel, kind: "dir" });
         deleted += 1;
         console.log(`📁 已删除空目录: ${rel}`);
       }
@@ -1142,16 +5503,340 @@ function deleteDirsSafely(rootDir, relativeDirs) {
   console.log(`✅ 空目录删除完成，共删除 ${deleted} 个目录`);
 }
 
-// CLI 入口：必须显式传项目路径；不传则提示并退出
-async function main() {
-  const argv = process.argv.slice(2);
-  const pathArg = argv.find(a => a && !a.startsWith('-'));
-  if (!pathArg) {
-    console.error('❌ 未指定路径。请执行：vue-prune <projectPath> [options]');
+// 回收站：每次删除一个 run 目录，文件按原相对路径存放，manifest.json 记录原路径与内容哈希
+const TRASH_DIR = ".vue-prune-trash";
+const TRASH_MANIFEST = "manifest.json";
+
+function createTrashSession(rootDir) {
+  const now = new Date();
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  const runId = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-` +
+    `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}-${pad(now.getMilliseconds(), 3)}`;
+  return {
+    rootDir,
+    runId,
+    dir: path.join(rootDir, TRASH_DIR, runId),
+    manifest: { runId, createdAt: now.toISOString(), entries: [] },
+  };
+}
+
+function hashFile(abs) {
+  return crypto.createHash("sha256").update(fs.readFileSync(abs)).digest("hex");
+}
+
+function moveFileToTrash(trash, rel) {
+  const abs = path.join(trash.rootDir, rel);
+  const dest = path.join(trash.dir, "files", rel);
+  const hash = hashFile(abs);
+  const size = fs.statSync(abs).size;
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  try {
+    fs.renameSync(abs, dest);
+  } catch (e) {
+    // 跨设备时 rename 失败，退化为复制后删除
+    if (e.code !== "EXDEV") throw e;
+    fs.copyFileSync(abs, dest);
+    fs.unlinkSync(abs);
+  }
+  recordTrashEntry(trash, { path: rel.split(path.sep).join("/"), kind: "file", hash, size });
+}
+
+function recordTrashEntry(trash, entry) {
+  trash.manifest.entries.push(entry);
+  fs.mkdirSync(trash.dir, { recursive: true });
+  fs.writeFileSync(path.join(trash.dir, TRASH_MANIFEST), JSON.stringify(trash.manifest, null, 2) + "\n");
+}
+
+// 回收站中的所有 run（按时间升序）
+function listTrashRuns(rootDir) {
+  const base = path.join(rootDir, TRASH_DIR);
+  if (!fs.existsSync(base)) return [];
+  const runs = [];
+  for (const name of fs.readdirSync(base).sort()) {
+    const manifestPath = path.join(base, name, TRASH_MANIFEST);
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+      runs.push({ ...manifest, runId: manifest.runId || name, dir: path.join(base, name) });
+    } catch (_) {}
+  }
+  return runs;
+}
+
+// 从回收站恢复一个 run：校验哈希，且拒绝覆盖已被重新创建的文件；全部恢复后移除该 run
+function restoreTrashRun(rootDir, run) {
+  let restored = 0;
+  const remaining = [];
+  // 先恢复目录，再恢复文件
+  const entries = [...run.entries].sort((a, b) => (a.kind === b.kind ? 0 : a.kind === "dir" ? -1 : 1));
+  for (const entry of entries) {
+    const target = path.join(rootDir, entry.path);
+    if (!isSubPath(rootDir, target)) continue;
+    try {
+      if (entry.kind === "dir") {
+        fs.mkdirSync(target, { recursive: true });
+        restored += 1;
+        console.log(`📁 已恢复目录: ${entry.path}`);
+        continue;
+      }
+      const source = path.join(run.dir, "files", entry.path);
+      if (fs.existsSync(target)) {
+        console.warn(`⚠️ 跳过（文件已被重新创建）: ${entry.path}`);
+        remaining.push(entry);
+        continue;
+      }
+      if (!fs.existsSync(source)) {
+        console.warn(`⚠️ 跳过（回收站中缺少该文件）: ${entry.path}`);
+        continue;
+      }
+      if (entry.hash && hashFile(source) !== entry.hash) {
+        console.warn(`⚠️ 跳过（内容哈希不匹配）: ${entry.path}`);
+        remaining.push(entry);
+        continue;
+      }
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.renameSync(source, target);
+      restored += 1;
+      console.log(`♻️ 已恢复: ${entry.path}`);
+    } catch (e) {
+      console.warn(`⚠️ 恢复失败: ${entry.path} -> ${e.message}`);
+      remaining.push(entry);
+    }
+  }
+  if (remaining.length === 0) {
+    fs.rmSync(run.dir, { recursive: true, force: true });
+  } else {
+    const manifest = { runId: run.runId, createdAt: run.createdAt, entries: remaining };
+    fs.writeFileSync(path.join(run.dir, TRASH_MANIFEST), JSON.stringify(manifest, null, 2) + "\n");
+  }
+  console.log(`✅ 恢复完成，共恢复 ${restored} 项${remaining.length ? `，${remaining.length} 项保留在回收站` : ""}`);
+  return { restored, remaining };
+}
+
+// restore/trash 子命令参数：[run-id] [projectPath]；只传一个且为已存在目录（非 run-id）时视为项目路径
+function parseTrashArgs(args) {
+  let [runId, rootArg] = args;
+  if (runId && !rootArg && fs.existsSync(runId) && fs.statSync(runId).isDirectory() &&
+    !fs.existsSync(path.join(process.cwd(), TRASH_DIR, runId))) {
+    rootArg = runId;
+    runId = undefined;
+  }
+  return { runId, rootDirectory: path.resolve(process.cwd(), rootArg || ".") };
+}
+
+// vue-prune restore [run-id] [projectPath]：恢复指定 run，缺省恢复最近一次
+function runRestoreCommand(args) {
+  const { runId, rootDirectory } = parseTrashArgs(args);
+  const runs = listTrashRuns(rootDirectory);
+  if (runs.length === 0) {
+    console.log("🗃️ 回收站为空");
+    return;
+  }
+  const run = runId ? runs.find((r) => r.runId === runId) : runs[runs.length - 1];
+  if (!run) {
+    console.error(`❌ 未找到回收记录: ${runId}`);
     process.exit(1);
   }
-  const rootDirectory = path.resolve(process.cwd(), pathArg);
+  console.log(`♻️ 恢复 ${run.runId}（${run.entries.length} 项）`);
+  const { remaining } = restoreTrashRun(rootDirectory, run);
+  if (remaining.length > 0) process.exitCode = 1;
+}
+
+// vue-prune trash list|purge [run-id] [projectPath]
+function runTrashCommand(args) {
+  const [action, ...rest] = args;
+  const { runId, rootDirectory } = parseTrashArgs(rest);
+  const runs = listTrashRuns(rootDirectory);
+  if (action === "list") {
+    if (runs.length === 0) {
+      console.log("🗃️ 回收站为空");
+      return;
+    }
+    console.log("🗃️ 回收站记录:");
+    runs.forEach((run, index) => {
+      const size = run.entries.reduce((sum, e) => sum + (e.size || 0), 0);
+      console.log(`${index + 1}. ${run.runId}  ${run.createdAt}  ${run.entries.length} 项  ${formatBytes(size)}`);
+    });
+    return;
+  }
+  if (action === "purge") {
+    const targets = runId ? runs.filter((r) => r.runId === runId) : runs;
+    if (runId && targets.length === 0) {
+      console.error(`❌ 未找到回收记录: ${runId}`);
+      process.exit(1);
+    }
+    for (const run of targets) {
+      fs.rmSync(run.dir, { recursive: true, force: true });
+      console.log(`🧹 已清除: ${run.runId}`);
+    }
+    const base = path.join(rootDirectory, TRASH_DIR);
+    if (fs.existsSync(base) && fs.readdirSync(base).length === 0) fs.rmdirSync(base);
+    console.log(`✅ 共清除 ${targets.length} 条回收记录`);
+    return;
+  }
+  console.error("❌ 用法: vue-prune trash list|purge [run-id] [projectPath]");
+  process.exit(1);
+}
+
+// git 集成：--since 对比指定 ref 时的扫描结果；--git-rm 用 git rm 暂存删除
+function runGit(args, cwd) {
+  return execFileSync("git", args, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+}
+
+// --since 只比较文件类发现项（依赖/导出受 node_modules 与工作区状态影响，不参与对比）
+const SINCE_CATEGORIES = ["vue", "assets", "code", "styles"];
+
+// 在临时 worktree 中检出 ref，用相同选项扫描项目对应的子目录；扫描期间静默日志
+async function scanAtGitRef(rootDir, ref, options) {
+  let topLevel;
+  let commit;
+  try {
+    topLevel = runGit(["rev-parse", "--show-toplevel"], rootDir);
+    commit = runGit(["rev-parse", "--verify", `${ref}^{commit}`], rootDir);
+  } catch (_) {
+    throw new Error(`--since 需要在 git 仓库中使用且 ref 可解析: ${ref}`);
+  }
+  let worktree = null;
+  try {
+    worktree = fs.mkdtempSync(path.join(os.tmpdir(), "vue-prune-since-"));
+    runGit(["worktree", "add", "--detach", worktree, commit], rootDir);
+    const finder = new UnusedVueFinder(path.join(worktree, path.relative(topLevel, rootDir)), {
+      ...options,
+      verbose: false,
+      logger: { log() {} },
+    });
+    const result = await finder.findUnusedVueFiles();
+    return { commit, finder, result };
+  } finally {
+    if (worktree) {
+      try {
+        runGit(["worktree", "remove", "--force", worktree], rootDir);
+      } catch (_) {
+        // worktree add 失败或 remove 失败时，手动删除临时目录并清理 git 的 worktree 记录
+        fs.rmSync(worktree, { recursive: true, force: true });
+        try {
+          runGit(["worktree", "prune"], rootDir);
+        } catch (_) {}
+      }
+    }
+  }
+}
+
+// 对比 ref 时的扫描结果，返回新增的未使用文件及导致其失去引用的提交
+function diffFindingsSince(rootDir, current, previous) {
+  const before = new Set(previous.result.findings.map(findingKey));
+  const { allVueFiles, allAssetFiles, allCodeFiles, allStyleFiles } = previous.finder;
+  const existedBefore = new Set([...allVueFiles, ...allAssetFiles, ...allCodeFiles, ...allStyleFiles]);
+  const added = current.findings.filter((f) => SINCE_CATEGORIES.includes(f.category) && !before.has(findingKey(f)));
+  const addedPaths = new Set(added.map((f) => f.path));
+  const range = `${previous.commit}..HEAD`;
+  const lastCommit = (paths, extra = []) => {
+    if (paths.length === 0) return null;
+    try {
+      const line = runGit(["log", "-1", "--format=%h%x09%an%x09%s", ...extra, range, "--", ...paths], rootDir);
+      if (!line) return null;
+      const [hash, author, subject] = line.split("\t");
+      return { hash, author, subject };
+    } catch (_) {
+      return null;
+    }
+  };
+  // 原引用方未变（自身也变成未使用）时，沿旧引用链向上追溯
+  const memo = new Map();
+  const orphanedBy = (rel, seen = new Set()) => {
+    if (memo.has(rel)) return memo.get(rel);
+    if (seen.has(rel)) return null;
+    seen.add(rel);
+    let commit = null;
+    if (!existedBefore.has(rel)) {
+      commit = lastCommit([rel], ["--diff-filter=A"]);
+    } else {
+      const referrers = previous.finder.getReferrers(rel);
+      commit = lastCommit(referrers);
+      for (const r of referrers) {
+        if (commit) break;
+        if (addedPaths.has(r)) commit = orphanedBy(r, seen);
+      }
+    }
+    memo.set(rel, commit);
+    return commit;
+  };
+  for (const f of added) {
+    const commit = orphanedBy(f.path);
+    if (commit) f.orphanedBy = commit;
+  }
+  return added;
+}
+
+// --git-rm：仅删除已跟踪且无本地修改的文件；未跟踪或有修改的文件需 --force
+function createGitRemoval(rootDir, { force = false } = {}) {
+  try {
+    runGit(["rev-parse", "--show-toplevel"], rootDir);
+  } catch (_) {
+    throw new Error("--git-rm 需要在 git 仓库中使用");
+  }
+  return { rootDir, force };
+}
+
+function gitRemoveFile(git, rel) {
+  let tracked = true;
+  try {
+    runGit(["ls-files", "--error-unmatch", "--", rel], git.rootDir);
+  } catch (_) {
+    tracked = false;
+  }
+  if (!tracked) {
+    if (!git.force) throw new Error("未被 git 跟踪，使用 --force 强制删除");
+    fs.unlinkSync(path.join(git.rootDir, rel));
+    return;
+  }
+  const modified = runGit(["status", "--porcelain", "--", rel], git.rootDir) !== "";
+  if (modified && !git.force) throw new Error("存在未提交的修改，使用 --force 强制删除");
+  runGit(["rm", "-q", ...(modified ? ["-f"] : []), "--", rel], git.rootDir);
+}
+
+// 需要取值的 CLI 选项（其后一个参数是选项值，不视为项目路径）
+const VALUE_FLAGS = new Set([
+  "--config", "--format", "--out", "--max-unused", "--fail-on", "--baseline",
+  "--graph", "--graph-format", "--graph-dir", "--graph-from", "--graph-depth", "--since", "--coverage",
+  "--sort", "--min-size", "--top", "--entry",
+]);
+
+// 读取 `--name value` 或 `--name=value` 形式的选项值
+function getArgValue(argv, name) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === name) return argv[i + 1];
+    if (argv[i].startsWith(name + "=")) return argv[i].slice(name.length + 1);
+  }
+  return undefined;
+}
 
+// 可重复的选项：收集所有取值，逗号分隔的值会被拆开
+function getArgValues(argv, name) {
+  const values = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === name && argv[i + 1] !== undefined) values.push(argv[i + 1]);
+    else if (argv[i].startsWith(name + "=")) values.push(argv[i].slice(name.length + 1));
+  }
+  return values.flatMap((v) => v.split(",")).map((v) => v.trim()).filter(Boolean);
+}
+
+// 位置参数（跳过选项及其取值）
+function getPositionalArgs(argv) {
+  const result = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a) continue;
+    if (a.startsWith('-')) {
+      if (VALUE_FLAGS.has(a)) i += 1;
+      continue;
+    }
+    result.push(a);
+  }
+  return result;
+}
+
+// 由 CLI 参数构造 UnusedVueFinder 选项（默认别名 + --verbose + --config + --entry + --coverage + 排序/大小过滤）
+function createFinderOptions(argv) {
   const options = {
     alias: {
       "@": "/src",
@@ -1162,23 +5847,326 @@ async function main() {
       "_/components": "/src/components",
       "_/views": "/src/views",
     },
-    verbose: process.argv.includes("--verbose"),
   };
+  // 仅在显式传入时设置，以便配置文件中的 verbose 生效
+  if (argv.includes("--verbose")) options.verbose = true;
+  if (argv.includes("--runtime-only")) options.runtimeOnly = true;
+  const configArg = getArgValue(argv, "--config");
+  if (configArg) options.configFile = path.resolve(process.cwd(), configArg);
+  // --entry 相对项目根，与配置文件中的 entries 合并
+  const entryArgs = getArgValues(argv, "--entry");
+  if (entryArgs.length > 0) options.entries = entryArgs;
+  const coverageArg = getArgValue(argv, "--coverage");
+  if (coverageArg) options.coverage = path.resolve(process.cwd(), coverageArg);
+  const sortArg = getArgValue(argv, "--sort");
+  if (sortArg) options.sort = sortArg;
+  const minSizeArg = getArgValue(argv, "--min-size");
+  if (minSizeArg) options.minSize = parseSize(minSizeArg);
+  const topArg = getArgValue(argv, "--top");
+  if (topArg) options.top = Number(topArg);
+  return options;
+}
+
+// 命令行中的文件参数：相对路径优先按项目目录解析，不存在时再按当前目录；返回相对项目根的路径
+function resolveProjectFile(rootDirectory, fileArg) {
+  const inProject = path.resolve(rootDirectory, fileArg);
+  const fileAbs = fs.existsSync(inProject) ? inProject : path.resolve(process.cwd(), fileArg);
+  return path.relative(rootDirectory, fileAbs);
+}
+
+// vue-prune why <file> [projectPath]：解释文件为何被判定为可达或未使用
+async function runWhyCommand(argv, args) {
+  const [fileArg, rootArg = "."] = args;
+  if (!fileArg) {
+    console.error("❌ 未指定文件。请执行：vue-prune why <file> [projectPath]");
+    process.exit(1);
+  }
+  const rootDirectory = path.resolve(process.cwd(), rootArg);
+  const target = resolveProjectFile(rootDirectory, fileArg);
+  if (target.startsWith("..") || path.isAbsolute(target)) {
+    console.error(`❌ 文件不在项目目录内: ${fileArg}`);
+    process.exit(1);
+  }
+
+  const finder = new UnusedVueFinder(rootDirectory, createFinderOptions(argv));
+  try {
+    await finder.buildGraph();
+    const info = await finder.explainFile(target);
+    const entries = await finder.detectEntryFiles();
+    console.log(`\n🔎 ${info.path}`);
+    console.log("══════════════════════════════════════");
+    console.log(`🚪 入口文件: ${entries.join(", ") || "(无)"}`);
+    if (!info.exists) console.log("⚠️ 文件不存在（或在忽略/排除范围内）");
+    if (info.safelisted) console.log("🛡️ 命中 safelist，不会出现在报告中");
+
+    if (info.reachable) {
+      console.log(`✅ 可达，最短导入链 (${info.chain.length - 1} 跳):`);
+      info.chain.forEach((rel, index) => {
+        const kind = index > 0 ? finder.getEdgeKind(info.chain[index - 1], rel) : "runtime";
+        const label = kind === "runtime" ? "" : `  (${EDGE_KIND_LABELS[kind]})`;
+        console.log(`${"  ".repeat(index)}${index === 0 ? "🚪" : "└─"} ${rel}${label}`);
+      });
+      return;
+    }
+
+    // 与报告一致：.d.ts 中注册的全局组件即使从入口不可达也算已使用（--runtime-only 除外）
+    if (info.declaredInDts) {
+      const declarations = info.importers.filter((item) => item.path.endsWith(".d.ts")).map((item) => item.path);
+      if (!finder.options.runtimeOnly) {
+        console.log(`✅ 在声明文件(.d.ts)中注册为全局组件，视为已使用: ${declarations.join(", ")}`);
+        return;
+      }
+      console.log(`📘 在声明文件(.d.ts)中注册为全局组件（--runtime-only 下不计入）: ${declarations.join(", ")}`);
+    }
+
+    if (info.assetReferrers.length > 0) {
+      console.log("✅ 作为静态资源被以下可达文件引用:");
+      info.assetReferrers.forEach((rel, index) => console.log(`${index + 1}. ${rel}`));
+      return;
+    }
+    console.log("🚫 从入口不可达");
+    if (info.importers.length === 0) {
+      console.log("📭 没有任何文件引用它");
+      return;
+    }
+    console.log(`📥 引用它的文件 (${info.importers.length}):`);
+    info.importers.forEach((item, index) => {
+      const kind = item.kind === "runtime" ? "" : `  [${EDGE_KIND_LABELS[item.kind]}]`;
+      console.log(`${index + 1}. ${item.path}${kind}${item.reachable ? "" : "  (不可达)"}`);
+    });
+  } catch (error) {
+    console.error("❌ 执行失败:", error.message);
+    process.exit(1);
+  }
+}
+
+// CLI 入口：必须显式传项目路径；不传则提示并退出
+async function main() {
+  const argv = process.argv.slice(2);
+  const positional = getPositionalArgs(argv);
+  if (positional[0] === "why") {
+    await runWhyCommand(argv, positional.slice(1));
+    return;
+  }
+  if (positional[0] === "restore") {
+    runRestoreCommand(positional.slice(1));
+    return;
+  }
+  if (positional[0] === "trash") {
+    runTrashCommand(positional.slice(1));
+    return;
+  }
+  const pathArg = positional[0];
+  if (!pathArg) {
+    console.error('❌ 未指定路径。请执行：vue-prune <projectPath> [options]');
+    process.exit(1);
+  }
+  const rootDirectory = path.resolve(process.cwd(), pathArg);
+
+  const options = createFinderOptions(argv);
+
+  // 机器可读报告：--format 未指定时按 --out 扩展名推断
+  const outArg = getArgValue(argv, "--out");
+  const format = getArgValue(argv, "--format") || (outArg ? inferReportFormat(outArg) || "json" : null);
+  if (format && !REPORT_FORMATS.includes(format)) {
+    console.error(`❌ 不支持的报告格式: ${format}（可选 ${REPORT_FORMATS.join("|")}）`);
+    process.exit(1);
+  }
+  // CI 门禁：--max-unused / --fail-on 隐含 --ci
+  const maxUnusedArg = getArgValue(argv, "--max-unused");
+  const failOnArg = getArgValue(argv, "--fail-on");
+  const baselineArg = getArgValue(argv, "--baseline");
+  const updateBaseline = argv.includes("--update-baseline");
+  const ciMode = argv.includes("--ci") || maxUnusedArg !== undefined || failOnArg !== undefined;
+  const maxUnused = maxUnusedArg === undefined ? 0 : Number(maxUnusedArg);
+  if (!Number.isInteger(maxUnused) || maxUnused < 0) {
+    console.error(`❌ --max-unused 需为非负整数: ${maxUnusedArg}`);
+    process.exit(1);
+  }
+  const failOn = failOnArg ? failOnArg.split(",").map((c) => c.trim()).filter(Boolean) : DEFAULT_FAIL_ON;
+  const unknownCategory = failOn.find((c) => !REPORT_CATEGORIES[c]);
+  if (unknownCategory) {
+    console.error(`❌ 未知分类: ${unknownCategory}（可选 ${Object.keys(REPORT_CATEGORIES).join(",")}）`);
+    process.exit(1);
+  }
+  // 未指定 --baseline 时使用项目根下的默认基线文件（存在才读取）
+  const baselinePath = path.resolve(process.cwd(), baselineArg || path.join(rootDirectory, DEFAULT_BASELINE_FILE));
+
+  // 依赖图导出：--graph <file>，格式按扩展名推断或 --graph-format 指定
+  const graphArg = getArgValue(argv, "--graph");
+  const graphFormat = getArgValue(argv, "--graph-format") || (graphArg ? inferGraphFormat(graphArg) || "json" : null);
+  if (graphFormat && !GRAPH_FORMATS.includes(graphFormat)) {
+    console.error(`❌ 不支持的依赖图格式: ${graphFormat}（可选 ${GRAPH_FORMATS.join("|")}）`);
+    process.exit(1);
+  }
+  const graphDepthArg = getArgValue(argv, "--graph-depth");
+  const graphDepth = graphDepthArg === undefined ? Infinity : Number(graphDepthArg);
+  if (graphDepthArg !== undefined && (!Number.isInteger(graphDepth) || graphDepth < 0)) {
+    console.error(`❌ --graph-depth 需为非负整数: ${graphDepthArg}`);
+    process.exit(1);
+  }
+  // 排序与大小过滤
+  if (options.sort !== undefined && !SORT_MODES.includes(options.sort)) {
+    console.error(`❌ 不支持的排序方式: ${options.sort}（可选 ${SORT_MODES.join("|")}）`);
+    process.exit(1);
+  }
+  if (options.minSize === null) {
+    console.error(`❌ 无法解析 --min-size: ${getArgValue(argv, "--min-size")}（如 500KB、2MB）`);
+    process.exit(1);
+  }
+  if (options.top !== undefined && (!Number.isInteger(options.top) || options.top < 0)) {
+    console.error(`❌ --top 需为非负整数: ${getArgValue(argv, "--top")}`);
+    process.exit(1);
+  }
+
+  // git 集成：--since 只报告该 ref 之后新增的未使用文件；--git-rm 与 --trash 互斥
+  const sinceRef = getArgValue(argv, "--since");
+  const gitRm = argv.includes("--git-rm");
+  if (gitRm && argv.includes("--trash")) {
+    console.error("❌ --git-rm 与 --trash 不能同时使用");
+    process.exit(1);
+  }
+
+  // 报告写到 stdout 时，进度日志改走 stderr，保证输出可直接被管道消费
+  const logger = format && !outArg ? { log: (...args) => console.error(...args) } : console;
+  options.logger = logger;
 
   const finder = new UnusedVueFinder(rootDirectory, options);
   try {
-    const { unusedVueFiles, unusedAssets, unusedCodeFiles, emptyDirs } = await finder.findUnusedVueFiles();
+    const result = await finder.findUnusedVueFiles();
+    if (sinceRef) {
+      logger.log(`\n🌿 正在扫描 ${sinceRef} 时的代码用于对比...`);
+      const previous = await scanAtGitRef(rootDirectory, sinceRef, createFinderOptions(argv));
+      const added = diffFindingsSince(rootDirectory, result, previous);
+      logger.log(`\n🆕 自 ${sinceRef} (${previous.commit.slice(0, 7)}) 以来新增的未使用文件 (${added.length} 个):`);
+      added.forEach((f, index) => {
+        const by = f.orphanedBy ? `${f.orphanedBy.hash} ${f.orphanedBy.subject} (${f.orphanedBy.author})` : "未提交的改动";
+        logger.log(`${index + 1}. [${f.category}] ${f.path}  ← ${by}`);
+      });
+      // 后续报告、CI 与删除只针对新增项
+      const addedPaths = new Set(added.map((f) => f.path));
+      result.findings = added;
+      result.unusedVueFiles = result.unusedVueFiles.filter((rel) => addedPaths.has(rel));
+      result.unusedAssets = result.unusedAssets.filter((rel) => addedPaths.has(rel));
+      result.unusedCodeFiles = result.unusedCodeFiles.filter((rel) => addedPaths.has(rel));
+      result.unusedStyleFiles = result.unusedStyleFiles.filter((rel) => addedPaths.has(rel));
+      result.emptyDirs = [];
+      result.staleTests = result.staleTests.filter((item) => addedPaths.has(item.path));
+      result.deadClusters = result.deadClusters.filter((c) => c.files.some((rel) => addedPaths.has(rel)));
+    }
+    const { unusedVueFiles, unusedAssets, unusedCodeFiles, unusedStyleFiles, emptyDirs, staleTests } = result;
+    if (format) {
+      const report = buildReport(rootDirectory, result.findings, {
+        entries: result.entries,
+        clusters: result.deadClusters,
+        duplicates: result.duplicateAssets,
+        dynamic: result.dynamicReferences,
+        since: sinceRef,
+      });
+      const content = formatReport(report, format);
+      if (outArg) {
+        const outPath = path.resolve(process.cwd(), outArg);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, content);
+        logger.log(`\n💾 ${format} 报告已保存到: ${outPath}`);
+      } else {
+        process.stdout.write(content);
+      }
+    }
+    if (graphArg) {
+      const graphFrom = getArgValue(argv, "--graph-from");
+      const view = await finder.buildGraphView({
+        dir: getArgValue(argv, "--graph-dir") || null,
+        from: graphFrom ? resolveProjectFile(rootDirectory, graphFrom) : null,
+        depth: graphDepth,
+      });
+      const graphPath = path.resolve(process.cwd(), graphArg);
+      fs.mkdirSync(path.dirname(graphPath), { recursive: true });
+      let graphContent = formatGraph(view, graphFormat);
+      // Markdown 文件中需放进 mermaid 代码块，查看器才会渲染为图
+      if (graphFormat === "mermaid" && /\.(md|markdown)$/i.test(graphPath)) {
+        graphContent = "```mermaid\n" + graphContent + "```\n";
+      }
+      fs.writeFileSync(graphPath, graphContent);
+      logger.log(`\n🕸️ 依赖图已保存到: ${graphPath}（${view.nodes.length} 个节点，${view.edges.length} 条边）`);
+    }
+    if (updateBaseline) {
+      writeBaseline(baselinePath, result.findings);
+      logger.log(`\n📌 基线已更新: ${baselinePath}（${result.findings.length} 项）`);
+      return;
+    }
+    if (ciMode) {
+      let baseline = null;
+      if (fs.existsSync(baselinePath)) {
+        baseline = loadBaseline(baselinePath);
+      } else if (baselineArg) {
+        logger.log(`\n⚠️ 基线文件不存在，按全量发现计算: ${baselinePath}`);
+      }
+      const gate = evaluateCiGate(result.findings, { failOn, maxUnused, baseline });
+      const scope = baseline ? "基线外新增" : "";
+      logger.log(`\n🚦 CI 检查 [${failOn.join(",")}]: ${scope}发现 ${gate.counted.length} 项，阈值 ${maxUnused}`);
+      if (gate.failed) {
+        gate.counted.forEach((f, index) => logger.log(`${index + 1}. [${f.category}] ${f.path}${f.name ? ` ${f.name}` : ""}`));
+        logger.log("❌ CI 检查未通过");
+        process.exitCode = 1;
+      } else {
+        logger.log("✅ CI 检查通过");
+      }
+      return;
+    }
     // 可选输出 .vue 清单
     if (unusedVueFiles.length > 0 && process.argv.includes("--output")) {
       const outputPath = path.join(rootDirectory, "unused-vue-files.txt");
       fs.writeFileSync(outputPath, unusedVueFiles.join("\n"));
-      console.log(`\n💾 结果已保存到: ${outputPath}`);
+      logger.log(`\n💾 结果已保存到: ${outputPath}`);
+    }
+    // 重复资源去重：把引用改写为指向保留的那份（TTY 中确认后写入；副本本身留待下次扫描作为未使用资源删除）
+    if (argv.includes("--dedupe-assets") && result.duplicateAssets.length > 0) {
+      const changes = await finder.rewriteDuplicateAssetReferences(result.duplicateAssets, { dryRun: true });
+      if (changes.length === 0) {
+        logger.log("\nℹ️ 重复资源的副本没有可改写的引用。");
+      } else if (!process.stdin.isTTY || !process.stdout.isTTY) {
+        logger.log("\n⚠️ --dedupe-assets 需要在 TTY 中确认，已跳过。");
+      } else {
+        logger.log(`\n✏️ 将改写 ${changes.length} 处引用:`);
+        changes.forEach((c, index) => logger.log(`${index + 1}. ${c.file}: ${c.from} -> ${c.to}`));
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const answer = await new Promise((resolve) => rl.question("是否写入以上改动? [y/N] ", resolve));
+        rl.close();
+        if (/^y(es)?$/i.test((answer || "").trim())) {
+          await finder.rewriteDuplicateAssetReferences(result.duplicateAssets);
+          logger.log("✅ 引用已改写，重新扫描后副本会出现在未使用资源中。");
+        }
+      }
     }
-    // 交互式删除：仅当显式传入 --delete 且在 TTY 环境才启用
-    if (process.argv.includes("--delete") &&
-      (unusedVueFiles.length > 0 || unusedAssets.length > 0 || unusedCodeFiles.length > 0 || emptyDirs.length > 0) &&
+    // 交互式删除：仅当显式传入 --delete（或 --pick）且在 TTY 环境才启用
+    const pick = argv.includes("--pick");
+    if ((argv.includes("--delete") || pick) &&
+      (unusedVueFiles.length > 0 || unusedAssets.length > 0 || unusedCodeFiles.length > 0 ||
+        unusedStyleFiles.length > 0 || emptyDirs.length > 0 || staleTests.length > 0) &&
       process.stdin.isTTY && process.stdout.isTTY) {
-      await confirmAndOptionallyDelete(rootDirectory, { vue: unusedVueFiles, assets: unusedAssets, code: unusedCodeFiles, dirs: emptyDirs });
+      const sections = {
+        vue: unusedVueFiles,
+        assets: unusedAssets,
+        code: unusedCodeFiles,
+        styles: unusedStyleFiles,
+        "stale-tests": staleTests.map((item) => item.path),
+        dirs: emptyDirs,
+      };
+      if (pick) {
+        await pickAndOptionallyDelete(rootDirectory, sections, {
+          trash: argv.includes("--trash"),
+          gitRm,
+          force: argv.includes("--force"),
+          getReferrers: (rel) => finder.getReferrers(rel),
+        });
+      } else {
+        await confirmAndOptionallyDelete(rootDirectory, sections, {
+          trash: argv.includes("--trash"),
+          gitRm,
+          force: argv.includes("--force"),
+        });
+      }
     }
   } catch (error) {
     console.error("❌ 执行失败:", error.message);
@@ -1188,23 +6176,45 @@ async function main() {
 
 // 帮助信息
 if (process.argv.includes("-v") || process.argv.includes("--version")) {
-  try {
-    const pkg = require('./package.json');
-    console.log(pkg.version || '0.0.0');
-  } catch (_) {
-    console.log('0.0.0');
-  }
+  console.log(getPackageVersion());
   process.exit(0);
 }
 
 if (process.argv.includes("--help") || process.argv.includes("-h")) {
   console.log(`
     用法: vue-prune [目录路径] [选项]
+          vue-prune why <文件> [目录路径]   解释文件为何可达/未使用
+          vue-prune restore [run-id] [目录路径]   从回收站恢复（默认最近一次）
+          vue-prune trash list|purge [run-id] [目录路径]   查看/清除回收站
 
     选项:
     --verbose     显示详细输出
-    --output      将结果保存到文件
+    --config <file> 指定配置文件（默认查找 vue-prune.config.* 或 package.json#vuePrune）
+    --output      将未使用的 .vue 清单保存到 unused-vue-files.txt
+    --format <fmt> 输出机器可读报告：json|sarif|markdown|csv（未指定 --out 时写到 stdout）
+    --out <file>  将报告写入文件（未指定 --format 时按扩展名推断）
     --delete      输出列表后逐类确认是否删除（默认不删除）
+    --pick        逐项选择要删除的文件/目录（TTY；隐含 --delete，可配合 --trash）
+    --trash       配合 --delete：移入 .vue-prune-trash/<run-id>/ 而非直接删除，可恢复
+    --git-rm      配合 --delete：通过 git rm 删除并暂存；未跟踪或有本地修改的文件会被跳过
+    --force       配合 --git-rm：仍然删除未跟踪或有本地修改的文件
+    --dedupe-assets 将重复资源的引用改写为指向保留的那份（TTY 中确认后写入）
+    --sort <mode> 文件类发现项排序：path（默认）|size（从大到小）
+    --min-size <size> 只报告不小于该大小的文件，如 500KB、2MB
+    --top <n>     列出体积最大的前 n 个未使用文件（默认 10，0 关闭）
+    --entry <file> 额外的入口文件（相对项目根，支持 glob，可重复或逗号分隔）
+    --runtime-only 仅按运行时引用计算可达性（import type、/// <reference>、.d.ts 中的引用不计入）
+    --coverage <path> 读取运行时覆盖率（V8/Playwright/Istanbul JSON 文件或目录），报告可达但从未执行的文件
+    --since <ref> 只报告自该 git ref 以来新增的未使用文件，并给出导致其失去引用的提交
+    --graph <file> 导出依赖图（dot|mermaid|json，按扩展名推断；绿色可达、红色不可达）
+    --graph-format <fmt> 指定依赖图格式
+    --graph-dir <dir> 仅保留该子目录内的节点
+    --graph-from <file> --graph-depth <n> 仅保留距该文件 n 跳以内的节点（导入与被导入双向）
+    --ci          CI 模式：存在未使用文件时以退出码 1 结束（不进入删除流程）
+    --max-unused <n> 允许的最大发现数（默认 0，隐含 --ci）
+    --fail-on <list> 计入门禁的分类，逗号分隔：${Object.keys(REPORT_CATEGORIES).join(",")}（默认 vue,assets,code，隐含 --ci）
+    --baseline <file> 基线文件：CI 模式下仅统计基线外的新发现
+    --update-baseline 将当前发现写入基线文件（默认 .vue-prune-baseline.json）
     -v, --version 输出版本号
     --help, -h    显示帮助信息
 
@@ -1213,7 +6223,12 @@ if (process.argv.includes("--help") || process.argv.includes("-h")) {
     vue-prune /path/to/project         # 扫描指定目录
     vue-prune --verbose               # 详细模式
     vue-prune --output                # 保存结果到文件
+    vue-prune . --format json > report.json   # JSON 报告
+    vue-prune . --out vue-prune.sarif         # SARIF 报告（GitHub code scanning）
     vue-prune --delete                # 执行后询问是否删除
+    vue-prune why src/components/Foo.vue .    # 查看最短导入链或引用方
+    vue-prune . --baseline .vue-prune-baseline.json --update-baseline   # 记录基线
+    vue-prune . --ci --baseline .vue-prune-baseline.json                # 仅新增发现时失败
   `);
   process.exit(0);
 }
@@ -1224,3 +6239,5 @@ if (require.main === module) {
 }
 
 module.exports = UnusedVueFinder;
+// 解析工具（供测试使用）
+Object.assign(module.exports, { tokenizeScript, extractModuleRequests, parseSimpleYaml, parseObjectModule });
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const UnusedVueFinder = require("../index.js");
+const { FIXTURES } = require("./helpers");
+
+const finder = new UnusedVueFinder(FIXTURES, { logger: { log() {} } });
+const declaredOf = (code) => Array.from(finder.extractExportInfo(code, path.join(FIXTURES, "mod.ts")).declared.keys());
+
+test("extractExportInfo 登记 export const 声明列表中的每个绑定", () => {
+  assert.deepStrictEqual(declaredOf("export const used = 1, alsoUsed = f(a, b);\nexport let x: Map<string, number> = new Map(), y = 2"), [
+    "used",
+    "alsoUsed",
+    "x",
+    "y",
+  ]);
+});
+
+test("extractExportInfo 登记解构导出中的本地名", () => {
+  assert.deepStrictEqual(declaredOf("export const { a, b: c, d = 1, ...rest } = obj\nexport const [p, [q]] = list"), [
+    "a",
+    "c",
+    "d",
+    "rest",
+    "p",
+    "q",
+  ]);
+});
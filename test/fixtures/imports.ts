@@ -0,0 +1,14 @@
+import App from './App.vue'
+import type { User } from './types'
+import { ref, type Ref } from 'vue'
+// import Old from './Old.vue'
+/* require('./legacy') */
+const label = "import Fake from './fake'"
+const re = /import\(['"]x['"]\)/g
+export { helper } from './helper'
+export * from './shared'
+export type { Theme } from './theme'
+const page = () => import(/* webpackChunkName: "page" */ './Page.vue')
+const config = require('./config.json')
+import legacy = require('./legacy-ts')
+const tpl = `${import.meta.env.BASE_URL}assets`
@@ -0,0 +1,9 @@
+// 英文文案
+export default {
+  home: {
+    title: 'Home',
+    "sub-title": `Welcome`,
+  },
+  count: (n) => `${n} items`,
+  list: ['a', 'b'],
+}
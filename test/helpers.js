@@ -0,0 +1,16 @@
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// 读取 test/fixtures 下的样例文件
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+// 取出 SFC 中第一个 <script> 块的内容
+function scriptOf(sfc) {
+  return /<script\b[^>]*>([\s\S]*?)<\/script>/.exec(sfc)[1];
+}
+
+module.exports = { FIXTURES, readFixture, scriptOf };
@@ -0,0 +1,17 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseObjectModule } = require("../index.js");
+const { readFixture } = require("./helpers");
+
+test("parseObjectModule 读取 export default 对象中的字符串与嵌套对象，其余表达式保留原文", () => {
+  assert.deepStrictEqual(parseObjectModule(readFixture("messages.js")), {
+    home: { title: "Home", "sub-title": "Welcome" },
+    count: "(n) => `${n} items`",
+    list: "['a', 'b']",
+  });
+});
+
+test("parseObjectModule 支持 module.exports 与包装函数调用", () => {
+  assert.deepStrictEqual(parseObjectModule("module.exports = defineMessages({ a: \"1\" })"), { a: "1" });
+  assert.strictEqual(parseObjectModule("export default createI18n(options)"), null);
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const UnusedVueFinder = require("../index.js");
+const { FIXTURES, readFixture, scriptOf } = require("./helpers");
+
+const finder = new UnusedVueFinder(FIXTURES, { logger: { log() {} } });
+const namesOf = (decl) => decl.names.map((n) => n.name);
+
+test("extractSfcDeclaration 解析 <script setup> 中基于类型的 defineProps/defineEmits", () => {
+  const script = scriptOf(readFixture("Card.vue"));
+  const props = finder.extractSfcDeclaration(script, "defineProps");
+  assert.deepStrictEqual(namesOf(props), ["title", "count"]);
+  assert.strictEqual(props.binding, "props");
+  const emits = finder.extractSfcDeclaration(script, "defineEmits");
+  assert.deepStrictEqual(namesOf(emits), ["open", "close", "save"]);
+  assert.strictEqual(emits.binding, "emit");
+});
+
+test("extractSfcDeclaration 解析选项式的 props/emits", () => {
+  const script = scriptOf(readFixture("Legacy.vue"));
+  assert.deepStrictEqual(namesOf(finder.extractSfcDeclaration(script, "props")), ["label", "size"]);
+  assert.deepStrictEqual(namesOf(finder.extractSfcDeclaration(script, "emits")), ["save", "cancel"]);
+});
+
+test("extractSfcDeclaration 的 names.index 指向名字在脚本中的位置", () => {
+  const script = scriptOf(readFixture("Legacy.vue"));
+  for (const { name, index } of finder.extractSfcDeclaration(script, "props").names) {
+    assert.strictEqual(script.slice(index, index + name.length), name);
+  }
+});
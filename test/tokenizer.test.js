@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { tokenizeScript, extractModuleRequests } = require("../index.js");
+const { readFixture } = require("./helpers");
+
+test("extractModuleRequests 只提取真实的模块请求，忽略注释、字符串与正则中的同名文字", () => {
+  const requests = extractModuleRequests(readFixture("imports.ts"));
+  assert.deepStrictEqual(
+    requests.map((r) => [r.spec, r.kind, r.typeOnly]),
+    [
+      ["./App.vue", "import", false],
+      ["./types", "import", true],
+      ["vue", "import", false],
+      ["./helper", "export", false],
+      ["./shared", "export", false],
+      ["./theme", "export", true],
+      ["./Page.vue", "dynamic", false],
+      ["./config.json", "require", false],
+      ["./legacy-ts", "import-equals", false],
+    ]
+  );
+});
+
+test("tokenizeScript 区分正则字面量与除号，并在模板字符串的 ${} 内继续切分", () => {
+  const { tokens, comments } = tokenizeScript("const re = /\\/\\*/g; a / b; `x${y}z` // done");
+  assert.deepStrictEqual(
+    tokens.map((t) => `${t.type}:${t.value}`),
+    ["name:const", "name:re", "punct:=", "regex:/\\/\\*/g", "punct:;", "name:a", "punct:/", "name:b", "punct:;", "template:x", "name:y", "template:z"]
+  );
+  assert.strictEqual(comments.length, 1);
+});
+
+test("tokenizeScript 把跨行未闭合的引号当作普通符号", () => {
+  const { tokens } = tokenizeScript("<p>Don't</p>\nimport('./x')");
+  assert.ok(tokens.some((t) => t.type === "string" && t.value === "./x"));
+});
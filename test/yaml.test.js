@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseSimpleYaml } = require("../index.js");
+const { readFixture } = require("./helpers");
+
+test("parseSimpleYaml 解析嵌套映射、块标量与行尾注释", () => {
+  assert.deepStrictEqual(parseSimpleYaml(readFixture("messages.yaml")), {
+    home: {
+      title: "Issue #1",
+      subtitle: "Welcome # not a comment",
+      note: "Note: has colon\nsecond line\n\nafter blank",
+      summary: "folded text",
+    },
+    footer: { copyright: "© 2024" },
+    empty: "",
+  });
+});
+
+test("parseSimpleYaml 在块标量结束后回到上层映射", () => {
+  const yaml = "a:\n  text: |\n    line\n  next: x\nb: y\n";
+  assert.deepStrictEqual(parseSimpleYaml(yaml), { a: { text: "line", next: "x" }, b: "y" });
+});